@@ -6,14 +6,36 @@ export class AIPlayerController extends PlayerController {
      * @param {Chessboard} board
      * @param {string} color
      * @param {MovesTableController} movesTableController
-     * @param {function} strategy - Function that receives game and returns a move
+     * @param {function} strategy - Function that receives game and returns a move (SAN or move object), may be async
      */
     constructor(chess, board, color, movesTableController = null, strategy = null) {
         super(chess, board, color, movesTableController);
         this.strategy = strategy || (() => null);
     }
-    async makeMove() {
+
+    /**
+     * Asks the strategy for a move without playing it
+     * @returns {Promise<string|object|null>} Promise that resolves with the move, rejects if the strategy fails
+     */
+    async chooseMove() {
+        if (!this.isPlayerTurn()) {
+            return null;
+        }
         // Call the strategy function to get a move
-        return Promise.resolve(this.strategy(this.chess));
+        const move = await Promise.resolve(this.strategy(this.chess));
+        if (!move) {
+            console.log("Strategy returned no move");
+            return null;
+        }
+        return move;
+    }
+
+    /**
+     * Asks the strategy for a move and plays it
+     * @returns {Promise<object|null>} Promise that resolves with move result
+     */
+    async makeMove() {
+        const move = await this.chooseMove();
+        return move ? this.executeMove(move) : null;
     }
 }
@@ -0,0 +1,375 @@
+/**
+ * Alpha-beta search engine used as a move strategy by AIPlayerController
+ * @module AlphaBetaEngine
+ */
+
+/**
+ * Strength levels, tuned by search depth, time budget and evaluation noise.
+ * `randomness` is a margin in centipawns: any root move scoring within it of
+ * the best move may be picked, which makes the lower levels beatable.
+ */
+export const ENGINE_LEVELS = {
+    beginner: { label: "Beginner", depth: 1, timeLimit: 300, quiescenceDepth: 0, randomness: 150 },
+    casual:   { label: "Casual",   depth: 2, timeLimit: 800, quiescenceDepth: 2, randomness: 40 },
+    club:     { label: "Club",     depth: 3, timeLimit: 1500, quiescenceDepth: 4, randomness: 10 },
+    expert:   { label: "Expert",   depth: 4, timeLimit: 3000, quiescenceDepth: 6, randomness: 0 }
+};
+
+const PIECE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+
+const MATE_SCORE = 100000;
+
+// Piece-square tables from white's point of view, first row is rank 8
+const PIECE_SQUARE_TABLES = {
+    p: [
+        [0, 0, 0, 0, 0, 0, 0, 0],
+        [50, 50, 50, 50, 50, 50, 50, 50],
+        [10, 10, 20, 30, 30, 20, 10, 10],
+        [5, 5, 10, 25, 25, 10, 5, 5],
+        [0, 0, 0, 20, 20, 0, 0, 0],
+        [5, -5, -10, 0, 0, -10, -5, 5],
+        [5, 10, 10, -20, -20, 10, 10, 5],
+        [0, 0, 0, 0, 0, 0, 0, 0]
+    ],
+    n: [
+        [-50, -40, -30, -30, -30, -30, -40, -50],
+        [-40, -20, 0, 0, 0, 0, -20, -40],
+        [-30, 0, 10, 15, 15, 10, 0, -30],
+        [-30, 5, 15, 20, 20, 15, 5, -30],
+        [-30, 0, 15, 20, 20, 15, 0, -30],
+        [-30, 5, 10, 15, 15, 10, 5, -30],
+        [-40, -20, 0, 5, 5, 0, -20, -40],
+        [-50, -40, -30, -30, -30, -30, -40, -50]
+    ],
+    b: [
+        [-20, -10, -10, -10, -10, -10, -10, -20],
+        [-10, 0, 0, 0, 0, 0, 0, -10],
+        [-10, 0, 5, 10, 10, 5, 0, -10],
+        [-10, 5, 5, 10, 10, 5, 5, -10],
+        [-10, 0, 10, 10, 10, 10, 0, -10],
+        [-10, 10, 10, 10, 10, 10, 10, -10],
+        [-10, 5, 0, 0, 0, 0, 5, -10],
+        [-20, -10, -10, -10, -10, -10, -10, -20]
+    ],
+    r: [
+        [0, 0, 0, 0, 0, 0, 0, 0],
+        [5, 10, 10, 10, 10, 10, 10, 5],
+        [-5, 0, 0, 0, 0, 0, 0, -5],
+        [-5, 0, 0, 0, 0, 0, 0, -5],
+        [-5, 0, 0, 0, 0, 0, 0, -5],
+        [-5, 0, 0, 0, 0, 0, 0, -5],
+        [-5, 0, 0, 0, 0, 0, 0, -5],
+        [0, 0, 0, 5, 5, 0, 0, 0]
+    ],
+    q: [
+        [-20, -10, -10, -5, -5, -10, -10, -20],
+        [-10, 0, 0, 0, 0, 0, 0, -10],
+        [-10, 0, 5, 5, 5, 5, 0, -10],
+        [-5, 0, 5, 5, 5, 5, 0, -5],
+        [0, 0, 5, 5, 5, 5, 0, -5],
+        [-10, 5, 5, 5, 5, 5, 0, -10],
+        [-10, 0, 5, 0, 0, 0, 0, -10],
+        [-20, -10, -10, -5, -5, -10, -10, -20]
+    ],
+    k: [
+        [-30, -40, -40, -50, -50, -40, -40, -30],
+        [-30, -40, -40, -50, -50, -40, -40, -30],
+        [-30, -40, -40, -50, -50, -40, -40, -30],
+        [-30, -40, -40, -50, -50, -40, -40, -30],
+        [-20, -30, -30, -40, -40, -30, -30, -20],
+        [-10, -20, -20, -20, -20, -20, -20, -10],
+        [20, 20, 0, 0, 0, 0, 20, 20],
+        [20, 30, 10, 0, 0, 10, 30, 20]
+    ],
+    kEndgame: [
+        [-50, -40, -30, -20, -20, -30, -40, -50],
+        [-30, -20, -10, 0, 0, -10, -20, -30],
+        [-30, -10, 20, 30, 30, 20, -10, -30],
+        [-30, -10, 30, 40, 40, 30, -10, -30],
+        [-30, -10, 30, 40, 40, 30, -10, -30],
+        [-30, -10, 20, 30, 30, 20, -10, -30],
+        [-30, -30, 0, 0, 0, 0, -30, -30],
+        [-50, -30, -30, -30, -30, -30, -30, -50]
+    ]
+};
+
+// Non-pawn material (both sides) below which the king table switches to the endgame one
+const ENDGAME_MATERIAL = 1300;
+
+class SearchTimeout extends Error {}
+
+export class AlphaBetaEngine {
+    #level;
+    #settings;
+    #deadline = 0;
+    #nodes = 0;
+
+    /**
+     * @param {string} level - One of the ENGINE_LEVELS keys (default: "casual")
+     */
+    constructor(level = "casual") {
+        this.setLevel(level);
+    }
+
+    /**
+     * Changes the strength level
+     * @param {string} level - One of the ENGINE_LEVELS keys
+     */
+    setLevel(level) {
+        if (!ENGINE_LEVELS[level]) {
+            throw new Error(`Unknown engine level: ${level}. Use: ${Object.keys(ENGINE_LEVELS).join(", ")}`);
+        }
+        this.#level = level;
+        this.#settings = ENGINE_LEVELS[level];
+    }
+
+    /**
+     * Gets the current strength level
+     * @returns {string} Level key
+     */
+    getLevel() {
+        return this.#level;
+    }
+
+    /**
+     * Returns a strategy function for AIPlayerController
+     * @returns {function(Chess): (string|null)} Strategy that receives the game and returns a SAN move
+     */
+    getStrategy() {
+        return (chess) => this.findBestMove(chess);
+    }
+
+    /**
+     * Searches the current position and returns the chosen move.
+     * The chess instance is restored to its original position before returning.
+     * @param {Chess} chess - Chess.js instance
+     * @returns {string|null} Move in SAN notation or null if there are no legal moves
+     */
+    findBestMove(chess) {
+        const rootMoves = this.#orderMoves(chess.moves({ verbose: true }));
+        if (rootMoves.length === 0) {
+            return null;
+        }
+        if (rootMoves.length === 1) {
+            return rootMoves[0].san;
+        }
+
+        this.#deadline = Date.now() + this.#settings.timeLimit;
+        this.#nodes = 0;
+
+        let scoredMoves = rootMoves.map(move => ({ move, score: 0 }));
+        for (let depth = 1; depth <= this.#settings.depth; depth++) {
+            try {
+                scoredMoves = this.#searchRoot(chess, scoredMoves.map(entry => entry.move), depth);
+            } catch (error) {
+                if (error instanceof SearchTimeout) {
+                    console.log(`AlphaBetaEngine: time limit reached during depth ${depth}`);
+                    break;
+                }
+                throw error;
+            }
+            if (Math.abs(scoredMoves[0].score) >= MATE_SCORE - this.#settings.depth) {
+                break; // Forced mate found, deeper search will not change the choice
+            }
+        }
+
+        const chosen = this.#pickMove(scoredMoves);
+        console.log(`AlphaBetaEngine (${this.#level}): ${chosen.move.san} (score ${chosen.score}, ${this.#nodes} nodes)`);
+        return chosen.move.san;
+    }
+
+    /**
+     * Searches every root move at the given depth.
+     * The window is widened by the level's randomness margin so that every move
+     * close to the best one gets an exact score.
+     * @param {Chess} chess - Chess.js instance
+     * @param {Array<object>} moves - Verbose root moves, best first
+     * @param {number} depth - Depth in plies
+     * @returns {Array<{move: object, score: number}>} Moves sorted by score, best first
+     * @private
+     */
+    #searchRoot(chess, moves, depth) {
+        const results = [];
+        let best = -Infinity;
+
+        for (const move of moves) {
+            const alpha = best === -Infinity ? -Infinity : best - this.#settings.randomness - 1;
+            chess.move(move);
+            let score;
+            try {
+                score = -this.#negamax(chess, depth - 1, -Infinity, -alpha, 1);
+            } finally {
+                chess.undo();
+            }
+            results.push({ move, score });
+            best = Math.max(best, score);
+        }
+
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Negamax search with alpha-beta pruning
+     * @param {Chess} chess - Chess.js instance
+     * @param {number} depth - Remaining depth in plies
+     * @param {number} alpha - Lower bound
+     * @param {number} beta - Upper bound
+     * @param {number} ply - Distance from the root
+     * @returns {number} Score from the side to move's point of view
+     * @private
+     */
+    #negamax(chess, depth, alpha, beta, ply) {
+        this.#checkTime();
+
+        const moves = chess.moves({ verbose: true });
+        if (moves.length === 0) {
+            return chess.in_check() ? -MATE_SCORE + ply : 0;
+        }
+        if (chess.insufficient_material()) {
+            return 0;
+        }
+        if (depth <= 0) {
+            return this.#quiescence(chess, alpha, beta, this.#settings.quiescenceDepth, moves);
+        }
+
+        let best = -Infinity;
+        for (const move of this.#orderMoves(moves)) {
+            chess.move(move);
+            let score;
+            try {
+                score = -this.#negamax(chess, depth - 1, -beta, -alpha, ply + 1);
+            } finally {
+                chess.undo();
+            }
+            if (score > best) {
+                best = score;
+            }
+            if (score > alpha) {
+                alpha = score;
+            }
+            if (alpha >= beta) {
+                break;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Quiescence search over captures and promotions, to avoid stopping
+     * the evaluation in the middle of an exchange
+     * @param {Chess} chess - Chess.js instance
+     * @param {number} alpha - Lower bound
+     * @param {number} beta - Upper bound
+     * @param {number} depth - Remaining quiescence depth
+     * @param {Array<object>} [moves] - Already generated verbose moves
+     * @returns {number} Score from the side to move's point of view
+     * @private
+     */
+    #quiescence(chess, alpha, beta, depth, moves = null) {
+        const standPat = this.evaluate(chess);
+        if (depth <= 0 || standPat >= beta) {
+            return standPat;
+        }
+        if (standPat > alpha) {
+            alpha = standPat;
+        }
+
+        this.#checkTime();
+        const tactical = (moves || chess.moves({ verbose: true })).filter(move => move.captured || move.promotion);
+        for (const move of this.#orderMoves(tactical)) {
+            chess.move(move);
+            let score;
+            try {
+                score = -this.#quiescence(chess, -beta, -alpha, depth - 1);
+            } finally {
+                chess.undo();
+            }
+            if (score >= beta) {
+                return score;
+            }
+            if (score > alpha) {
+                alpha = score;
+            }
+        }
+        return alpha;
+    }
+
+    /**
+     * Static evaluation: material plus piece-square tables
+     * @param {Chess} chess - Chess.js instance
+     * @returns {number} Score in centipawns from the side to move's point of view
+     */
+    evaluate(chess) {
+        const board = chess.board();
+        let nonPawnMaterial = 0;
+        for (const row of board) {
+            for (const piece of row) {
+                if (piece && piece.type !== "p" && piece.type !== "k") {
+                    nonPawnMaterial += PIECE_VALUES[piece.type];
+                }
+            }
+        }
+        const kingTable = nonPawnMaterial <= ENDGAME_MATERIAL ? PIECE_SQUARE_TABLES.kEndgame : PIECE_SQUARE_TABLES.k;
+
+        let score = 0;
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = board[row][col];
+                if (!piece) {
+                    continue;
+                }
+                const table = piece.type === "k" ? kingTable : PIECE_SQUARE_TABLES[piece.type];
+                if (piece.color === "w") {
+                    score += PIECE_VALUES[piece.type] + table[row][col];
+                } else {
+                    score -= PIECE_VALUES[piece.type] + table[7 - row][col];
+                }
+            }
+        }
+        return chess.turn() === "w" ? score : -score;
+    }
+
+    /**
+     * Orders moves so that promotions and the most valuable captures
+     * by the least valuable attackers are searched first (MVV-LVA)
+     * @param {Array<object>} moves - Verbose moves
+     * @returns {Array<object>} Sorted copy of the moves
+     * @private
+     */
+    #orderMoves(moves) {
+        const priority = (move) => {
+            let value = 0;
+            if (move.captured) {
+                value += 10 * PIECE_VALUES[move.captured] - PIECE_VALUES[move.piece] + 1000;
+            }
+            if (move.promotion) {
+                value += PIECE_VALUES[move.promotion];
+            }
+            return value;
+        };
+        return [...moves].sort((a, b) => priority(b) - priority(a));
+    }
+
+    /**
+     * Picks a move among those scoring within the randomness margin of the best one
+     * @param {Array<{move: object, score: number}>} scoredMoves - Moves sorted by score, best first
+     * @returns {{move: object, score: number}} Chosen entry
+     * @private
+     */
+    #pickMove(scoredMoves) {
+        const bestScore = scoredMoves[0].score;
+        const candidates = scoredMoves.filter(entry => entry.score >= bestScore - this.#settings.randomness);
+        return candidates[Math.floor(Math.random() * candidates.length)];
+    }
+
+    /**
+     * Aborts the search once the time budget is spent
+     * @private
+     */
+    #checkTime() {
+        this.#nodes++;
+        if ((this.#nodes & 63) === 0 && Date.now() > this.#deadline) {
+            throw new SearchTimeout();
+        }
+    }
+}
@@ -45,6 +45,25 @@ export class BaseGameController {
         this.setupNewGame();
     }
 
+    /**
+     * Plays a move of a white piece without handing the turn to black, so that a lone
+     * white piece can keep moving in puzzles where black does not answer. The move is
+     * looked up among the legal moves of the piece and then placed on the board, which
+     * leaves white to move.
+     * @param {string} from - Origin square.
+     * @param {string} to - Target square.
+     * @returns {object|null} The move in chess.js verbose format, or null if it is illegal.
+     */
+    playSoloMove(from, to) {
+        const move = this.#chess.moves({ square: from, verbose: true }).find(candidate => candidate.to === to);
+        if (!move) {
+            return null;
+        }
+        this.#chess.remove(from);
+        this.#chess.put({ type: move.promotion || move.piece, color: move.color }, to);
+        return move;
+    }
+
     /**
      * Abstract method to set up a new game. Must be implemented by subclasses.
      */
@@ -1,5 +1,6 @@
 /**
  * Module for controlling black pieces movements (computer)
+ * The same random player can also take the white pieces when a color is given.
  * @module BlackPlayerController
  */
 
@@ -13,9 +14,10 @@ export class BlackPlayerController extends PlayerController {
      * @param {Chessboard} board - Board instance
      * @param {number} moveDelay - Delay in ms before making move (default: 800ms)
      * @param {MovesTableController} movesTableController - Moves table controller (optional)
+     * @param {string} color - Piece color to play (default: 'b' for black)
      */
-    constructor(chess, board, moveDelay = 800, movesTableController = null) {
-        super(chess, board, 'b', movesTableController); // 'b' for black
+    constructor(chess, board, moveDelay = 800, movesTableController = null, color = 'b') {
+        super(chess, board, color, movesTableController);
         this.#moveDelay = moveDelay;
     }
 
@@ -42,19 +44,28 @@ export class BlackPlayerController extends PlayerController {
     }
 
     /**
-     * Makes an automatic random move for black
+     * Makes an automatic random move
      * @returns {Promise<object|null>} Promise that resolves with move result
      */
     async makeAutomaticMove() {
+        const selectedMove = await this.chooseMove();
+        return selectedMove ? this.executeMove(selectedMove) : null;
+    }
+
+    /**
+     * Picks a random move and waits for the move delay without playing it
+     * @returns {Promise<string|null>} Promise that resolves with the move in SAN, or null if there is none
+     */
+    async chooseMove() {
         if (!this.isPlayerTurn()) {
-            console.log("Not black's turn, returning");
+            console.log(`Not ${this.color === 'w' ? 'white' : 'black'}'s turn, returning`);
             return null;
         }
 
-        console.log("makeAutomaticMove called. Current turn:", this.chess.turn());
+        console.log("chooseMove called. Current turn:", this.chess.turn());
         
         const possibleMoves = this.getPossibleMoves();
-        console.log("Possible moves for black:", possibleMoves.length);
+        console.log("Possible moves:", possibleMoves.length);
 
         if (possibleMoves.length === 0) {
             return null;
@@ -63,10 +74,10 @@ export class BlackPlayerController extends PlayerController {
         const selectedMove = this.selectRandomMove();
         console.log("Selected move:", selectedMove);
 
-        // Wait for delay before executing move
+        // Wait for delay before handing the move over
         await new Promise(resolve => setTimeout(resolve, this.#moveDelay));
 
-        return this.executeMove(selectedMove);
+        return selectedMove;
     }
 
     /**
@@ -166,6 +166,13 @@ export class BoardManager {
     setShowCoordinates(show) {
         this.#config.style.showCoordinates = show;
         this.#board.props.style.showCoordinates = show;
+        if (!show) {
+            // cm-chessboard only clears the coordinates when it draws new ones
+            const coordinatesGroup = this.#board.view.coordinatesGroup;
+            while (coordinatesGroup.firstChild) {
+                coordinatesGroup.removeChild(coordinatesGroup.lastChild);
+            }
+        }
         this.#board.view.drawCoordinates();
     }
 
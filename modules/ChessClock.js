@@ -0,0 +1,286 @@
+/**
+ * Chess clock with Fischer increment and simple delay
+ * @module ChessClock
+ */
+
+/**
+ * Time control presets. Times are in milliseconds, `initial: null` means untimed.
+ */
+export const TIME_CONTROLS = {
+    untimed: { label: "Untimed", initial: null, increment: 0, delay: 0 },
+    "3+2": { label: "3+2", initial: 3 * 60000, increment: 2000, delay: 0 },
+    "5+0": { label: "5+0", initial: 5 * 60000, increment: 0, delay: 0 },
+    "5d3": { label: "5 min, 3s delay", initial: 5 * 60000, increment: 0, delay: 3000 },
+    "10+5": { label: "10+5", initial: 10 * 60000, increment: 5000, delay: 0 },
+    "15+10": { label: "15+10", initial: 15 * 60000, increment: 10000, delay: 0 }
+};
+
+const TICK_INTERVAL = 100;
+
+export class ChessClock {
+    #timeControl;
+    #remaining = { w: null, b: null };
+    #active = null;
+    #running = false;
+    #flagged = null;
+    #interval = null;
+    #lastTimestamp = 0;
+    #turnElapsed = 0;
+    #turnStartRemaining = 0;
+    #onTick = null;
+    #onFlag = null;
+
+    /**
+     * @param {string|object} timeControl - Key of TIME_CONTROLS or an object with initial, increment and delay in ms
+     */
+    constructor(timeControl = "untimed") {
+        this.setTimeControl(timeControl);
+    }
+
+    /**
+     * Changes the time control and resets both clocks
+     * @param {string|object} timeControl - Key of TIME_CONTROLS or an object with initial, increment and delay in ms
+     */
+    setTimeControl(timeControl) {
+        const config = typeof timeControl === "string" ? TIME_CONTROLS[timeControl] : timeControl;
+        if (!config) {
+            throw new Error(`Unknown time control: ${timeControl}`);
+        }
+        this.#timeControl = { initial: null, increment: 0, delay: 0, ...config };
+        this.reset();
+    }
+
+    /**
+     * Gets the current time control
+     * @returns {{initial: (number|null), increment: number, delay: number}}
+     */
+    getTimeControl() {
+        return { ...this.#timeControl };
+    }
+
+    /**
+     * Checks whether the clocks are disabled
+     * @returns {boolean}
+     */
+    isUntimed() {
+        return this.#timeControl.initial === null;
+    }
+
+    /**
+     * Stops the clocks and sets both sides back to the initial time
+     */
+    reset() {
+        this.stop();
+        this.#remaining = { w: this.#timeControl.initial, b: this.#timeControl.initial };
+        this.#active = null;
+        this.#flagged = null;
+        this.#notifyTick();
+    }
+
+    /**
+     * Starts the countdown of one side
+     * @param {string} color - 'w' or 'b'
+     */
+    start(color) {
+        if (this.isUntimed() || this.#flagged) {
+            return;
+        }
+        this.stop();
+        this.#active = color;
+        this.#turnElapsed = 0;
+        this.#turnStartRemaining = this.#remaining[color];
+        this.resume();
+    }
+
+    /**
+     * Records a completed move: the mover gets the increment and the opponent's clock starts.
+     * The first move of the game only starts the opponent's clock.
+     * @param {string} color - Color that made the move, 'w' or 'b'
+     */
+    moveMade(color) {
+        if (this.isUntimed() || this.#flagged) {
+            return;
+        }
+        if (this.#active === color) {
+            this.stop();
+            if (this.#flagged) {
+                return;
+            }
+            this.#remaining[color] += this.#timeControl.increment;
+        }
+        this.start(color === "w" ? "b" : "w");
+    }
+
+    /**
+     * Pauses the running clock, e.g. while the computer is thinking
+     */
+    pause() {
+        if (!this.#running) {
+            return;
+        }
+        this.#update();
+        this.#clearInterval();
+        this.#running = false;
+        this.#notifyTick();
+    }
+
+    /**
+     * Resumes the clock of the side to move after a pause
+     */
+    resume() {
+        if (this.#running || !this.#active || this.#flagged || this.isUntimed()) {
+            return;
+        }
+        this.#running = true;
+        this.#lastTimestamp = Date.now();
+        this.#interval = setInterval(() => this.#update(), TICK_INTERVAL);
+        this.#notifyTick();
+    }
+
+    /**
+     * Stops both clocks, e.g. when the game ends
+     */
+    stop() {
+        if (this.#running) {
+            this.#update();
+        }
+        this.#clearInterval();
+        this.#running = false;
+    }
+
+    /**
+     * Checks whether a clock is counting down
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.#running;
+    }
+
+    /**
+     * Gets the color whose clock is (or was last) running
+     * @returns {string|null} 'w', 'b' or null before the first move
+     */
+    getActiveColor() {
+        return this.#active;
+    }
+
+    /**
+     * Gets the color that ran out of time
+     * @returns {string|null} 'w', 'b' or null
+     */
+    getFlaggedColor() {
+        return this.#flagged;
+    }
+
+    /**
+     * Gets the remaining time of one side
+     * @param {string} color - 'w' or 'b'
+     * @returns {number|null} Remaining time in ms, null when untimed
+     */
+    getTime(color) {
+        return this.#remaining[color];
+    }
+
+    /**
+     * Sets the remaining time of one side, e.g. when restoring a game
+     * @param {string} color - 'w' or 'b'
+     * @param {number} time - Remaining time in ms
+     */
+    setTime(color, time) {
+        if (this.isUntimed()) {
+            return;
+        }
+        this.#remaining[color] = Math.max(0, time);
+        if (this.#active === color) {
+            this.#turnElapsed = 0;
+            this.#turnStartRemaining = this.#remaining[color];
+        }
+        this.#notifyTick();
+    }
+
+    /**
+     * Registers a callback called whenever the displayed times change
+     * @param {function({w: (number|null), b: (number|null), active: (string|null), running: boolean}): void} callback
+     */
+    setOnTick(callback) {
+        this.#onTick = callback;
+        this.#notifyTick();
+    }
+
+    /**
+     * Registers a callback called when a side runs out of time
+     * @param {function(string): void} callback - Receives the flagged color
+     */
+    setOnFlag(callback) {
+        this.#onFlag = callback;
+    }
+
+    /**
+     * Formats a time for display, with tenths of a second below ten seconds
+     * @param {number|null} time - Time in ms
+     * @returns {string} e.g. "4:59", "0:09.4" or "--:--" when untimed
+     */
+    static formatTime(time) {
+        if (time === null || time === undefined) {
+            return "--:--";
+        }
+        const totalSeconds = Math.floor(time / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, "0");
+        if (time < 10000) {
+            return `${minutes}:${seconds}.${Math.floor((time % 1000) / 100)}`;
+        }
+        return `${minutes}:${seconds}`;
+    }
+
+    /**
+     * Takes the elapsed time off the active clock, the delay is consumed first
+     * @private
+     */
+    #update() {
+        const now = Date.now();
+        this.#turnElapsed += now - this.#lastTimestamp;
+        this.#lastTimestamp = now;
+        const used = Math.max(0, this.#turnElapsed - this.#timeControl.delay);
+        this.#remaining[this.#active] = Math.max(0, this.#turnStartRemaining - used);
+
+        if (this.#remaining[this.#active] === 0) {
+            this.#clearInterval();
+            this.#running = false;
+            this.#flagged = this.#active;
+            this.#notifyTick();
+            console.log(`Flag fall: ${this.#active === "w" ? "White" : "Black"} ran out of time`);
+            if (this.#onFlag) {
+                this.#onFlag(this.#flagged);
+            }
+            return;
+        }
+        this.#notifyTick();
+    }
+
+    /**
+     * Stops the tick interval
+     * @private
+     */
+    #clearInterval() {
+        if (this.#interval !== null) {
+            clearInterval(this.#interval);
+            this.#interval = null;
+        }
+    }
+
+    /**
+     * Passes the current times to the tick callback
+     * @private
+     */
+    #notifyTick() {
+        if (this.#onTick) {
+            this.#onTick({
+                w: this.#remaining.w,
+                b: this.#remaining.b,
+                active: this.#active,
+                running: this.#running
+            });
+        }
+    }
+}
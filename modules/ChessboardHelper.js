@@ -23,3 +23,40 @@ export function getDefaultChessboardConfig(customConfig = {}) {
 
     return { ...baseConfig, ...customConfig };
 }
+
+/**
+ * Helper para tratar cliques nas casas do tabuleiro (colocar e remover peças).
+ * O listener é registrado na fase de captura do SVG e substitui o anterior,
+ * então pode ser chamado de novo depois que o tabuleiro é redesenhado.
+ * @param {Chessboard} board - Tabuleiro do cm-chessboard
+ * @param {function(string, MouseEvent): void} onSquareClick - Recebe a casa clicada (ex: "e4") e o evento
+ * @returns {boolean} Se o listener foi registrado
+ */
+export function attachSquareClickListener(board, onSquareClick) {
+    const boardSvg = board.context.querySelector('svg');
+    if (!boardSvg) {
+        console.error('[DEBUG] Could not find board SVG element');
+        return false;
+    }
+
+    // Remove any existing custom listeners
+    if (boardSvg._customClickHandler) {
+        boardSvg.removeEventListener('click', boardSvg._customClickHandler, true);
+    }
+
+    const clickHandler = (e) => {
+        // Find the clicked square element, pieces and markers carry the square too
+        let squareEl = e.target;
+        while (squareEl && !(squareEl.getAttribute && squareEl.getAttribute('data-square'))) {
+            squareEl = squareEl.parentElement;
+        }
+        if (!squareEl) {
+            return; // Not a square click
+        }
+        onSquareClick(squareEl.getAttribute('data-square'), e);
+    };
+
+    boardSvg._customClickHandler = clickHandler;
+    boardSvg.addEventListener('click', clickHandler, true); // Use capture phase
+    return true;
+}
@@ -0,0 +1,312 @@
+/**
+ * Module for controlling the coordinate trainer: timed rounds where the student
+ * clicks the square that is named, or names the square that is marked.
+ * @module CoordinateTrainerController
+ */
+
+import { COLOR } from "../cm-chessboard-master/src/Chessboard.js";
+import { MARKER_TYPE } from "../cm-chessboard-master/src/extensions/markers/Markers.js";
+import { attachSquareClickListener } from "./ChessboardHelper.js";
+import { ChessClock } from "./ChessClock.js";
+
+/**
+ * Ways to train the coordinates
+ */
+export const TRAINER_MODE = {
+    findSquare: "findSquare", // A square is named, the student clicks it
+    nameSquare: "nameSquare"  // A square is marked, the student types its name
+};
+
+// Length of a round in seconds
+const ROUND_SECONDS = 30;
+
+// Marker types of the trainer, the answer markers are styled in styles.css
+const TRAINER_MARKER = {
+    target: MARKER_TYPE.frame,
+    hit: { class: "marker-safe-square", slice: "markerSquare" },
+    miss: { class: "marker-danger-square", slice: "markerSquare" }
+};
+
+const FILES = "abcdefgh";
+
+export class CoordinateTrainerController {
+    #boardManager;
+    #board;
+    #mode = TRAINER_MODE.findSquare;
+    #orientation = COLOR.white;
+    #target = null;
+    #clock = null;
+    #hits = 0;
+    #misses = 0;
+    #bestScores = {};
+    #storageKey = 'chess-assist-coordinate-scores';
+
+    /**
+     * @param {BoardManager} boardManager - Board manager of the trainer board, with the Markers extension.
+     */
+    constructor(boardManager) {
+        this.#boardManager = boardManager;
+        this.#board = boardManager.getBoard();
+        this.#orientation = this.#board.getOrientation();
+        this.#bestScores = this.#loadBestScores();
+        attachSquareClickListener(this.#board, (square) => this.answerWithSquare(square));
+        this.#updateDisplay();
+    }
+
+    /**
+     * Sets the training mode. A running round is stopped.
+     * @param {string} mode - One of TRAINER_MODE
+     */
+    setMode(mode) {
+        this.stopRound();
+        this.#mode = mode;
+        this.#updateDisplay();
+    }
+
+    /**
+     * Gets the training mode.
+     * @returns {string} One of TRAINER_MODE
+     */
+    getMode() {
+        return this.#mode;
+    }
+
+    /**
+     * Turns the board to the side of the given color. A running round is stopped.
+     * @param {string} color - COLOR.white or COLOR.black
+     */
+    setOrientation(color) {
+        this.stopRound();
+        this.#orientation = color;
+        this.#board.setOrientation(color);
+        this.#updateDisplay();
+    }
+
+    /**
+     * Shows or hides the coordinates around the board. A running round is stopped.
+     * @param {boolean} show
+     */
+    setShowCoordinates(show) {
+        this.stopRound();
+        this.#boardManager.setShowCoordinates(show);
+        this.#updateDisplay();
+    }
+
+    /**
+     * Whether a round is being played.
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.#clock !== null;
+    }
+
+    /**
+     * Starts a round of ROUND_SECONDS seconds with a new score.
+     */
+    startRound() {
+        this.stopRound();
+        this.#hits = 0;
+        this.#misses = 0;
+        this.#clock = new ChessClock({ initial: ROUND_SECONDS * 1000 });
+        this.#clock.setOnTick(() => this.#updateDisplay());
+        this.#clock.setOnFlag(() => this.#endRound());
+        this.#clock.start('w');
+        this.#nextTarget();
+        console.log("Coordinate trainer: round started, mode:", this.#mode, "orientation:", this.#orientation);
+    }
+
+    /**
+     * Stops the round without scoring it.
+     */
+    stopRound() {
+        if (this.#clock) {
+            this.#clock.stop();
+            this.#clock = null;
+        }
+        this.#target = null;
+        this.#board.removeMarkers();
+        this.#updateDisplay();
+    }
+
+    /**
+     * Answers with a clicked square, in the find square mode.
+     * @param {string} square - Clicked square.
+     * @returns {boolean} Whether the answer was right
+     */
+    answerWithSquare(square) {
+        if (!this.isRunning() || this.#mode !== TRAINER_MODE.findSquare) {
+            return false;
+        }
+        return this.#score(square);
+    }
+
+    /**
+     * Answers with a typed square name, in the name square mode.
+     * @param {string} text - Square name typed by the student, e.g. "e4".
+     * @returns {boolean} Whether the answer was right
+     */
+    answerWithName(text) {
+        if (!this.isRunning() || this.#mode !== TRAINER_MODE.nameSquare) {
+            return false;
+        }
+        const square = text.trim().toLowerCase();
+        if (!/^[a-h][1-8]$/.test(square)) {
+            this.#setFeedback(`"${text.trim()}" is not a square. Type a file a-h and a rank 1-8, like e4.`);
+            return false;
+        }
+        return this.#score(square);
+    }
+
+    /**
+     * Scores an answer, shows it on the board and asks for the next square.
+     * @param {string} square - Square answered.
+     * @returns {boolean} Whether the answer was right
+     * @private
+     */
+    #score(square) {
+        const target = this.#target;
+        const hit = square === target;
+        this.#board.removeMarkers(TRAINER_MARKER.hit);
+        this.#board.removeMarkers(TRAINER_MARKER.miss);
+        if (hit) {
+            this.#hits++;
+            this.#board.addMarker(TRAINER_MARKER.hit, target);
+            this.#setFeedback(`✅ ${target}`);
+        } else {
+            this.#misses++;
+            this.#board.addMarker(TRAINER_MARKER.hit, target);
+            this.#board.addMarker(TRAINER_MARKER.miss, square);
+            this.#setFeedback(this.#mode === TRAINER_MODE.findSquare ?
+                `❌ That was ${square}, ${target} is marked in green.` :
+                `❌ You typed ${square}, the marked square was ${target}.`);
+        }
+        this.#nextTarget();
+        return hit;
+    }
+
+    /**
+     * Picks a new random square, never the same one twice in a row.
+     * @private
+     */
+    #nextTarget() {
+        let square;
+        do {
+            square = FILES[Math.floor(Math.random() * 8)] + (Math.floor(Math.random() * 8) + 1);
+        } while (square === this.#target);
+        this.#target = square;
+        this.#board.removeMarkers(TRAINER_MARKER.target);
+        if (this.#mode === TRAINER_MODE.nameSquare) {
+            this.#board.addMarker(TRAINER_MARKER.target, square);
+        }
+        this.#updateDisplay();
+    }
+
+    /**
+     * Ends the round when the time is up and keeps the best score of the mode and orientation.
+     * @private
+     */
+    #endRound() {
+        const key = this.#scoreKey();
+        const best = this.#bestScores[key] || 0;
+        const isRecord = this.#hits > best;
+        if (isRecord) {
+            this.#bestScores[key] = this.#hits;
+            this.#storeBestScores();
+        }
+        const hits = this.#hits;
+        const misses = this.#misses;
+        this.stopRound();
+        console.log(`Coordinate trainer: round over, ${hits} hits and ${misses} misses`);
+        // Use a small timeout to let the last answer appear
+        setTimeout(() => {
+            const squares = `${hits} square${hits === 1 ? '' : 's'}`;
+            alert(isRecord ?
+                `🏆 Time is up! ${squares} in ${ROUND_SECONDS} seconds, a new best score!` :
+                `⏰ Time is up! ${squares} in ${ROUND_SECONDS} seconds (${misses} missed). Your best is ${best}.`);
+        }, 300);
+    }
+
+    /**
+     * Updates the prompt, the score, the time left and the best scores.
+     * @private
+     */
+    #updateDisplay() {
+        const promptElement = document.getElementById('coordinatePrompt');
+        if (promptElement) {
+            if (!this.isRunning()) {
+                promptElement.textContent = 'Press "Start Round"';
+            } else if (this.#mode === TRAINER_MODE.findSquare) {
+                promptElement.textContent = `Click ${this.#target}`;
+            } else {
+                promptElement.textContent = 'Name the marked square';
+            }
+        }
+
+        const scoreElement = document.getElementById('coordinateScore');
+        if (scoreElement) {
+            const time = this.#clock ? this.#clock.getTime('w') : ROUND_SECONDS * 1000;
+            scoreElement.innerHTML = `
+                <div class="challenge-info">
+                    <div class="optimal-moves">Hits: ${this.#hits}</div>
+                    <div class="current-moves">Misses: ${this.#misses}</div>
+                    <div class="current-moves">⏱️ ${ChessClock.formatTime(time)}</div>
+                    <div class="current-moves">Best: ${this.#bestScores[this.#scoreKey()] || 0}</div>
+                </div>
+            `;
+        }
+
+        const answerElement = document.getElementById('coordinateAnswerForm');
+        if (answerElement) {
+            answerElement.hidden = this.#mode !== TRAINER_MODE.nameSquare;
+        }
+    }
+
+    /**
+     * Shows how the last answer went.
+     * @param {string} message
+     * @private
+     */
+    #setFeedback(message) {
+        const feedbackElement = document.getElementById('coordinateFeedback');
+        if (feedbackElement) {
+            feedbackElement.textContent = message;
+        }
+    }
+
+    /**
+     * Best scores are kept apart for each mode, orientation and coordinate setting.
+     * @returns {string}
+     * @private
+     */
+    #scoreKey() {
+        const orientation = this.#orientation === COLOR.black ? "black" : "white";
+        const coordinates = this.#boardManager.getShowCoordinates() ? "coordinates" : "hidden";
+        return `${this.#mode}-${orientation}-${coordinates}`;
+    }
+
+    /**
+     * Reads the best scores from localStorage.
+     * @returns {object}
+     * @private
+     */
+    #loadBestScores() {
+        try {
+            return JSON.parse(localStorage.getItem(this.#storageKey) || '{}');
+        } catch (error) {
+            console.warn('Could not read the coordinate trainer scores from localStorage:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Stores the best scores in localStorage.
+     * @private
+     */
+    #storeBestScores() {
+        try {
+            localStorage.setItem(this.#storageKey, JSON.stringify(this.#bestScores));
+        } catch (error) {
+            console.warn('Could not store the coordinate trainer scores in localStorage:', error);
+        }
+    }
+}
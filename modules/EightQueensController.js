@@ -0,0 +1,206 @@
+/**
+ * Module for controlling the Eight Queens puzzle: the student clicks squares to place
+ * and remove queens. Attacked squares and conflicts are shown live, and the solutions
+ * found are kept in localStorage.
+ * @module EightQueensController
+ */
+
+import { ARROW_TYPE } from "../cm-chessboard-master/src/extensions/arrows/Arrows.js";
+import { attachSquareClickListener } from "./ChessboardHelper.js";
+import { EightQueensRules, QUEEN_COUNT } from "./EightQueensRules.js";
+
+// Squares attacked by the queens, styled in styles.css
+const ATTACKED_MARKER = { class: "marker-danger-square", slice: "markerSquare" };
+
+export class EightQueensController {
+    #board;
+    #rules;
+    #queens = [];
+    #found = new Set();
+    #storageKey = 'chess-assist-eight-queens';
+
+    /**
+     * @param {Chessboard} board - The visual board instance with the Markers and Arrows extensions.
+     * @param {EightQueensRules} rules - Rules of the puzzle (optional)
+     */
+    constructor(board, rules = new EightQueensRules()) {
+        this.#board = board;
+        this.#rules = rules;
+        this.#found = this.#loadFound();
+    }
+
+    /**
+     * Starts listening to clicks on the board and shows the empty board.
+     */
+    start() {
+        attachSquareClickListener(this.#board, (square) => this.toggleQueen(square));
+        this.clear();
+    }
+
+    /**
+     * Places a queen on an empty square or removes the queen on it.
+     * @param {string} square - Clicked square.
+     * @returns {boolean} Whether the board changed
+     */
+    toggleQueen(square) {
+        if (this.#queens.includes(square)) {
+            this.#queens = this.#queens.filter(queen => queen !== square);
+            this.#board.setPiece(square, null);
+        } else if (this.#queens.length < QUEEN_COUNT) {
+            this.#queens.push(square);
+            this.#board.setPiece(square, "wq");
+        } else {
+            this.#setStatus(`All ${QUEEN_COUNT} queens are on the board. Click a queen to pick it up.`);
+            return false;
+        }
+        this.#update();
+        return true;
+    }
+
+    /**
+     * Removes all queens.
+     */
+    clear() {
+        this.#queens = [];
+        this.#board.setPosition("8/8/8/8/8/8/8/8 w - - 0 1", false);
+        this.#update();
+    }
+
+    /**
+     * Gets the squares of the queens on the board.
+     * @returns {Array<string>}
+     */
+    getQueens() {
+        return [...this.#queens];
+    }
+
+    /**
+     * Gets the numbers of the solutions found so far.
+     * @returns {Array<number>} Solution numbers from 1 to 92, in ascending order
+     */
+    getFoundSolutions() {
+        return [...this.#found].sort((a, b) => a - b);
+    }
+
+    /**
+     * Forgets the solutions found so far.
+     */
+    resetFoundSolutions() {
+        this.#found = new Set();
+        this.#storeFound();
+        this.#update();
+    }
+
+    /**
+     * Updates the markers, the conflict arrows and the displays, and records a new solution.
+     * @private
+     */
+    #update() {
+        const conflicts = this.#rules.getConflicts(this.#queens);
+        if (this.#board.addMarker) {
+            this.#board.removeMarkers(ATTACKED_MARKER);
+            this.#rules.getAttackedSquares(this.#queens).forEach(square => this.#board.addMarker(ATTACKED_MARKER, square));
+        }
+        if (this.#board.addArrow) {
+            this.#board.removeArrows(ARROW_TYPE.danger);
+            conflicts.forEach(({ from, to }) => this.#board.addArrow(ARROW_TYPE.danger, from, to));
+        }
+
+        const number = this.#rules.getSolutionNumber(this.#queens);
+        if (number) {
+            this.#recordSolution(number);
+        } else if (conflicts.length > 0) {
+            this.#setStatus(`⚠️ ${conflicts.length} pair${conflicts.length > 1 ? 's' : ''} of queens attack each other.`);
+        } else {
+            this.#setStatus(`${this.#queens.length}/${QUEEN_COUNT} queens placed, none attack each other.`);
+        }
+        this.#renderSolutions();
+    }
+
+    /**
+     * Stores a solution and congratulates the student.
+     * @param {number} number - Solution number from 1 to 92
+     * @private
+     */
+    #recordSolution(number) {
+        const total = this.#rules.getSolutions().length;
+        if (this.#found.has(number)) {
+            this.#setStatus(`✅ Solution #${number} again! You have found it before, try another one.`);
+            return;
+        }
+        this.#found.add(number);
+        this.#storeFound();
+        this.#setStatus(`🎉 Solution #${number} found!`);
+        console.log(`Eight Queens: solution #${number} (${this.#rules.toSolution(this.#queens)}) found`);
+        // Use a small timeout to allow the queen to appear
+        setTimeout(() => {
+            alert(this.#found.size === total ?
+                `🏆 Solution #${number}! You have found all ${total} solutions of the Eight Queens puzzle!` :
+                `👑 Solution #${number} found! You have found ${this.#found.size} of the ${total} solutions.`);
+        }, 300);
+    }
+
+    /**
+     * Shows a message about the position.
+     * @param {string} message
+     * @private
+     */
+    #setStatus(message) {
+        const statusElement = document.getElementById('eightQueensStatus');
+        if (statusElement) {
+            statusElement.textContent = message;
+        }
+    }
+
+    /**
+     * Shows the counter and a cell for each of the solutions, the found ones filled in.
+     * @private
+     */
+    #renderSolutions() {
+        const solutions = this.#rules.getSolutions();
+        const counterElement = document.getElementById('eightQueensCounter');
+        if (counterElement) {
+            counterElement.innerHTML = `
+                <div class="challenge-info">
+                    <div class="optimal-moves">Queens: ${this.#queens.length}/${QUEEN_COUNT}</div>
+                    <div class="current-moves">Solutions found: ${this.#found.size}/${solutions.length}</div>
+                </div>
+            `;
+        }
+        const gridElement = document.getElementById('eightQueensSolutions');
+        if (gridElement) {
+            gridElement.innerHTML = solutions.map((solution, index) => {
+                const found = this.#found.has(index + 1);
+                const title = found ? `#${index + 1}: ${solution}` : `#${index + 1}: not found yet`;
+                return `<span class="solution-cell${found ? ' found' : ''}" title="${title}">${index + 1}</span>`;
+            }).join('');
+        }
+    }
+
+    /**
+     * Reads the solutions found from localStorage.
+     * @returns {Set<number>}
+     * @private
+     */
+    #loadFound() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.#storageKey) || '[]');
+            return new Set(Array.isArray(stored) ? stored : []);
+        } catch (error) {
+            console.warn('Could not read the Eight Queens solutions from localStorage:', error);
+            return new Set();
+        }
+    }
+
+    /**
+     * Stores the solutions found in localStorage.
+     * @private
+     */
+    #storeFound() {
+        try {
+            localStorage.setItem(this.#storageKey, JSON.stringify(this.getFoundSolutions()));
+        } catch (error) {
+            console.warn('Could not store the Eight Queens solutions in localStorage:', error);
+        }
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * Rules of the Eight Queens puzzle: place eight queens so that no two attack each other.
+ * Queens are given as squares in algebraic notation. A queen's line ends at the first
+ * queen on it, so three queens on a line make two conflicts, not three.
+ * @module EightQueensRules
+ */
+
+const FILES = "abcdefgh";
+
+const QUEEN_DIRECTIONS = [
+    [0, 1], [0, -1], [1, 0], [-1, 0],
+    [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+
+export const QUEEN_COUNT = 8;
+
+export class EightQueensRules {
+    #solutions = null;
+
+    /**
+     * Squares attacked by the queens, the squares of the queens excluded
+     * @param {Array<string>} queens - Squares of the queens
+     * @returns {Set<string>}
+     */
+    getAttackedSquares(queens) {
+        const occupied = new Set(queens);
+        const attacked = new Set();
+        for (const queen of queens) {
+            for (const square of this.#walkLines(queen, occupied)) {
+                if (!occupied.has(square)) {
+                    attacked.add(square);
+                }
+            }
+        }
+        return attacked;
+    }
+
+    /**
+     * Pairs of queens that attack each other
+     * @param {Array<string>} queens - Squares of the queens
+     * @returns {Array<{from: string, to: string}>} Each pair once
+     */
+    getConflicts(queens) {
+        const occupied = new Set(queens);
+        const conflicts = [];
+        for (const queen of queens) {
+            for (const square of this.#walkLines(queen, occupied)) {
+                // Keep each pair once, from the queen that comes first in the list
+                if (occupied.has(square) && queens.indexOf(square) > queens.indexOf(queen)) {
+                    conflicts.push({ from: queen, to: square });
+                }
+            }
+        }
+        return conflicts;
+    }
+
+    /**
+     * Checks whether the queens solve the puzzle
+     * @param {Array<string>} queens - Squares of the queens
+     * @returns {boolean}
+     */
+    isSolved(queens) {
+        return queens.length === QUEEN_COUNT && this.getConflicts(queens).length === 0;
+    }
+
+    /**
+     * All 92 solutions, found once with backtracking file by file.
+     * A solution is written as the ranks of the queens from the a-file to the h-file, e.g. "15863724".
+     * @returns {Array<string>} Solutions in ascending order
+     */
+    getSolutions() {
+        if (!this.#solutions) {
+            this.#solutions = [];
+            this.#placeFrom([]);
+        }
+        return this.#solutions;
+    }
+
+    /**
+     * Number of a solved position in the list of solutions
+     * @param {Array<string>} queens - Squares of the queens
+     * @returns {number} Solution number from 1 to 92, or 0 if the queens are no solution
+     */
+    getSolutionNumber(queens) {
+        if (!this.isSolved(queens)) {
+            return 0;
+        }
+        return this.getSolutions().indexOf(this.toSolution(queens)) + 1;
+    }
+
+    /**
+     * Writes queens as the ranks from the a-file to the h-file
+     * @param {Array<string>} queens - Squares of the queens, one per file
+     * @returns {string}
+     */
+    toSolution(queens) {
+        return [...queens]
+            .sort()
+            .map(square => square[1])
+            .join("");
+    }
+
+    /**
+     * Squares of the queens of a solution
+     * @param {string} solution - Ranks from the a-file to the h-file
+     * @returns {Array<string>}
+     */
+    toQueens(solution) {
+        return [...solution].map((rank, file) => FILES[file] + rank);
+    }
+
+    /**
+     * Squares on the lines of a queen, each line up to and including the first queen on it
+     * @param {string} queen - Square of the queen
+     * @param {Set<string>} occupied - Squares of all queens
+     * @returns {Array<string>}
+     * @private
+     */
+    #walkLines(queen, occupied) {
+        const squares = [];
+        const file = FILES.indexOf(queen[0]);
+        const rank = parseInt(queen[1], 10);
+        for (const [df, dr] of QUEEN_DIRECTIONS) {
+            let f = file + df;
+            let r = rank + dr;
+            while (f >= 0 && f < 8 && r >= 1 && r <= 8) {
+                const square = FILES[f] + r;
+                squares.push(square);
+                if (occupied.has(square)) {
+                    break;
+                }
+                f += df;
+                r += dr;
+            }
+        }
+        return squares;
+    }
+
+    /**
+     * Places a queen on the next file on every safe rank and goes on with the following file
+     * @param {Array<number>} ranks - Ranks of the queens placed so far, one per file
+     * @private
+     */
+    #placeFrom(ranks) {
+        if (ranks.length === QUEEN_COUNT) {
+            this.#solutions.push(ranks.join(""));
+            return;
+        }
+        const file = ranks.length;
+        for (let rank = 1; rank <= 8; rank++) {
+            const safe = ranks.every((other, otherFile) =>
+                other !== rank && Math.abs(other - rank) !== file - otherFile);
+            if (safe) {
+                this.#placeFrom([...ranks, rank]);
+            }
+        }
+    }
+}
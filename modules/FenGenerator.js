@@ -40,7 +40,7 @@ export class FenGenerator {
     }
 
 // Classe base não implementa métodos específicos de puzzles
-// Para KingEscapeFenGenerator, use import do arquivo KingEscapeFenGenerator.js
+// Para os puzzles de uma peça só (Lone Knight, King Escape, labirintos), use SoloPieceFenGenerator.js
 }
 
 
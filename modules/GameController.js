@@ -4,11 +4,31 @@
  */
 
 import { COLOR, INPUT_EVENT_TYPE, FEN } from "../cm-chessboard-master/src/Chessboard.js";
+import { PROMOTION_DIALOG_RESULT_TYPE } from "../cm-chessboard-master/src/extensions/promotion-dialog/PromotionDialog.js";
 import { BlackPlayerController } from "./BlackPlayerController.js";
+import { HumanPlayerController } from "./HumanPlayerController.js";
+import { AIPlayerController } from "./AIPlayerController.js";
+import { AlphaBetaEngine, ENGINE_LEVELS } from "./AlphaBetaEngine.js";
+import { UciEngineAdapter } from "./UciEngineAdapter.js";
+import { GameResultOverlay } from "./GameResultOverlay.js";
+import { ChessClock } from "./ChessClock.js";
+import { MoveNode } from "./PgnParser.js";
 import { BaseGameController } from "./BaseGameController.js";
 
 export class GameController extends BaseGameController {
-    #blackPlayerController;
+    #players = {};
+    #playerTypes = {};
+    #uciEngines = new Map();
+    #turnToken = 0;
+    #thinkingColor = null;
+    #resultOverlay;
+    #clock;
+    #pauseClockWhileThinking = false;
+    #flagResult = null;
+    #root;
+    #currentNode;
+    #viewNode = null;
+    #onGameChanged = null;
 
     /**
      * @param {Chess} chess - Chess.js instance
@@ -17,7 +37,270 @@ export class GameController extends BaseGameController {
      */
     constructor(chess, board, movesTableController = null) {
         super(chess, board, movesTableController);
-        this.#blackPlayerController = new BlackPlayerController(chess, board, 800, movesTableController);
+        this.#resultOverlay = new GameResultOverlay(board);
+        this.#clock = new ChessClock("untimed");
+        this.#clock.setOnFlag(this.#handleFlag.bind(this));
+        if (this.movesTableController && this.movesTableController.setOnMoveSelected) {
+            this.movesTableController.setOnMoveSelected((node) => this.goToNode(node));
+        }
+        this.#buildTreeFromHistory();
+        for (const [color, type] of [[COLOR.white, "human"], [COLOR.black, "random"]]) {
+            this.#players[color] = this.#createPlayer(color, type);
+            this.#playerTypes[color] = type;
+        }
+    }
+
+    /**
+     * Assigns a player type to one side.
+     * The board is turned towards the human when only black is human, and if the
+     * new player is a computer whose turn it is, it starts thinking right away.
+     * @param {string} color - COLOR.white or COLOR.black
+     * @param {string} type - "human", "random", "uci" or one of the ENGINE_LEVELS keys
+     * @param {object} options - UCI engine settings when type is "uci"
+     * @param {string} options.workerUrl - URL of the engine worker script
+     * @param {"classic"|"module"} options.workerType - Worker type (default: "classic")
+     * @param {number} options.movetime - Thinking time per move in ms
+     */
+    setPlayer(color, type, options = {}) {
+        const player = this.#createPlayer(color, type, options);
+        this.#players[color] = player;
+        this.#playerTypes[color] = type;
+        // Cancel a move the previous player of this side may still be thinking about
+        if (this.#thinkingColor === color) {
+            this.#turnToken++;
+            this.#thinkingColor = null;
+            this.#clock.resume();
+        }
+        console.log(`${color === COLOR.white ? "White" : "Black"} player set to:`, type);
+
+        this.#updateOrientation();
+        this.#startTurn();
+    }
+
+    /**
+     * Sets a callback for every change of the game tree or of the line being played,
+     * e.g. to keep lists of the game's moves up to date
+     * @param {function(MoveNode): void} callback - Called with the current node
+     */
+    setOnGameChanged(callback) {
+        this.#onGameChanged = callback;
+    }
+
+    /**
+     * Gets the player type assigned to a side
+     * @param {string} color - COLOR.white or COLOR.black
+     * @returns {string} Player type
+     */
+    getPlayerType(color) {
+        return this.#playerTypes[color];
+    }
+
+    /**
+     * Gets the player controller of a side
+     * @param {string} color - COLOR.white or COLOR.black
+     * @returns {PlayerController} The player controller
+     */
+    getPlayer(color) {
+        return this.#players[color];
+    }
+
+    /**
+     * Checks whether a computer player is currently choosing its move
+     * @returns {boolean}
+     */
+    isComputerThinking() {
+        return this.#thinkingColor !== null;
+    }
+
+    /**
+     * Changes the time control and starts a new game with it
+     * @param {string|object} timeControl - Key of TIME_CONTROLS or an object with initial, increment and delay in ms
+     */
+    setTimeControl(timeControl) {
+        this.#clock.setTimeControl(timeControl);
+        console.log("Time control set to:", this.#clock.getTimeControl());
+        this.setupNewGame();
+    }
+
+    /**
+     * Gets the chess clock of the game
+     * @returns {ChessClock} The clock
+     */
+    getClock() {
+        return this.#clock;
+    }
+
+    /**
+     * Sets whether the clock stops while a computer player is choosing its move
+     * @param {boolean} pause - Whether to pause the clock
+     */
+    setPauseClockWhileThinking(pause) {
+        this.#pauseClockWhileThinking = pause;
+        if (this.isComputerThinking()) {
+            if (pause) {
+                this.#clock.pause();
+            } else {
+                this.#clock.resume();
+            }
+        }
+    }
+
+    /**
+     * Checks whether the clock stops while a computer player is choosing its move
+     * @returns {boolean}
+     */
+    getPauseClockWhileThinking() {
+        return this.#pauseClockWhileThinking;
+    }
+
+    /**
+     * Creates the player controller for a player type
+     * @param {string} color - COLOR.white or COLOR.black
+     * @param {string} type - Player type
+     * @param {object} options - UCI engine settings
+     * @returns {PlayerController} The player controller
+     * @private
+     */
+    #createPlayer(color, type, options = {}) {
+        if (this.#uciEngines.has(color)) {
+            this.#uciEngines.get(color).terminate();
+            this.#uciEngines.delete(color);
+        }
+
+        // The players get no moves table, moves are recorded in the game tree by #afterMove
+        if (type === "human") {
+            return new HumanPlayerController(this.chess, this.board, color);
+        }
+        if (type === "random") {
+            return new BlackPlayerController(this.chess, this.board, 800, null, color);
+        }
+        if (type === "uci") {
+            const uciEngine = new UciEngineAdapter(options.workerUrl, {
+                workerType: options.workerType,
+                movetime: options.movetime
+            });
+            uciEngine.init().catch(error => console.error("Failed to start UCI engine:", error));
+            this.#uciEngines.set(color, uciEngine);
+            // Fall back to the built-in engine if the worker fails
+            const fallback = new AlphaBetaEngine("casual").getStrategy();
+            return new AIPlayerController(this.chess, this.board, color, null, uciEngine.getStrategy(fallback));
+        }
+        if (ENGINE_LEVELS[type]) {
+            const engine = new AlphaBetaEngine(type);
+            return new AIPlayerController(this.chess, this.board, color, null, engine.getStrategy());
+        }
+        throw new Error(`Unknown player type: ${type}`);
+    }
+
+    /**
+     * Checks whether a side is played by a human
+     * @param {string} color - COLOR.white or COLOR.black
+     * @returns {boolean}
+     * @private
+     */
+    #isHuman(color) {
+        return this.#players[color] instanceof HumanPlayerController;
+    }
+
+    /**
+     * Shows the board from black's side when black is the only human player
+     * @private
+     */
+    #updateOrientation() {
+        const orientation = this.#isHuman(COLOR.black) && !this.#isHuman(COLOR.white) ? COLOR.black : COLOR.white;
+        if (this.board.getOrientation() !== orientation) {
+            this.board.setOrientation(orientation);
+        }
+    }
+
+    /**
+     * Hands the turn to the side to move: enables input for a human,
+     * or lets the computer player make its move
+     * @private
+     */
+    #startTurn() {
+        this.board.disableMoveInput();
+        if (this.chess.game_over() || this.#flagResult) {
+            return;
+        }
+
+        const color = this.chess.turn();
+        const player = this.#players[color];
+        if (this.#isHuman(color)) {
+            this.board.enableMoveInput(this.handleInput.bind(this), color);
+            return;
+        }
+
+        if (this.#thinkingColor === color) {
+            return; // Already thinking about this move
+        }
+        const token = this.#turnToken;
+        this.#thinkingColor = color;
+        if (this.#pauseClockWhileThinking) {
+            this.#clock.pause();
+        }
+        setTimeout(() => {
+            // Ignore turns that belong to a game that was reset or undone meanwhile
+            if (token !== this.#turnToken) {
+                return;
+            }
+            // The move is only chosen here, it is played once it is clear that the game has not moved on
+            player.chooseMove().catch((error) => {
+                console.error(`${color === COLOR.white ? "White" : "Black"} player could not choose a move:`, error);
+                return null;
+            }).then((move) => {
+                if (token !== this.#turnToken) {
+                    return;
+                }
+                this.#thinkingColor = null;
+                let result = move ? player.executeMove(move) : null;
+                if (!result) {
+                    // The game must not hang with the clock paused, the built-in engine moves instead
+                    console.warn(`${color === COLOR.white ? "White" : "Black"} player gave no playable move:`, move);
+                    result = this.#playFallbackMove(player);
+                }
+                if (result) {
+                    console.log(`${color === COLOR.white ? "White" : "Black"} move executed:`, result);
+                    this.#afterMove();
+                    return;
+                }
+                if (this.#pauseClockWhileThinking) {
+                    this.#clock.resume();
+                }
+                alert(`${color === COLOR.white ? "White" : "Black"} could not make a move. Change the player or start a new game.`);
+            });
+        }, 100);
+    }
+
+    /**
+     * Plays the move of the built-in engine for a computer player that gave no playable move
+     * @param {PlayerController} player - Player of the side to move
+     * @returns {object|null} The move played, or null if there is none
+     * @private
+     */
+    #playFallbackMove(player) {
+        const move = new AlphaBetaEngine("casual").findBestMove(this.chess);
+        return move ? player.executeMove(move) : null;
+    }
+
+    /**
+     * Records the move just made in the game tree, checks the game end and passes the turn on
+     * @private
+     */
+    #afterMove() {
+        // Only a move played since the current node counts, the clock must not start or restart otherwise
+        if (this.chess.fen() === this.#currentNode.fen) {
+            return;
+        }
+        // A new move always brings the board back to the live position
+        this.#viewNode = null;
+        const move = this.chess.history({ verbose: true }).pop();
+        this.#addNode(move);
+        this.#renderMoves();
+        this.#clock.moveMade(move.color);
+        if (!this.#checkGameEnd()) {
+            this.#startTurn();
+        }
     }
 
     /**
@@ -63,22 +346,297 @@ export class GameController extends BaseGameController {
     #handleMoveValidation(event) {
         const move = {
             from: event.squareFrom,
-            to: event.squareTo,
-            promotion: event.promotion || 'q' // Default promotion to queen
+            to: event.squareTo
         };
-        
+
+        // A move on an earlier position of the game starts a new line from there
+        if (this.#viewNode !== null && !this.#branchFromViewedNode(move)) {
+            return false;
+        }
+
+        if (this.#isPromotionMove(move.from, move.to) && event.chessboard.showPromotionDialog) {
+            // Let the player pick the piece, the move is made in the dialog callback
+            const token = this.#turnToken;
+            this.board.disableMoveInput();
+            event.chessboard.showPromotionDialog(move.to, this.chess.turn(), (result) => {
+                this.#handlePromotionResult(move, result, token);
+            });
+            return true;
+        }
+
+        // Without the PromotionDialog extension promote to a queen
+        return this.#playHumanMove({ ...move, promotion: 'q' });
+    }
+
+    /**
+     * Shows the position after a move of the game tree without changing the game.
+     * Moving from a shown position continues the game from there, as a new line
+     * if the move was not played there before; showing the live node resumes the game.
+     * @param {MoveNode} node - Node of the game tree (the root is the starting position)
+     * @returns {boolean} Whether the node belongs to the game
+     */
+    goToNode(node) {
+        if (!node || this.#getLine(node)[0] !== this.#root) {
+            return false;
+        }
+        this.board.disableMoveInput();
+        this.#viewNode = node === this.#currentNode ? null : node;
+        if (this.movesTableController && this.movesTableController.selectNode) {
+            this.movesTableController.selectNode(this.#viewNode);
+        }
+
+        if (this.#viewNode === null) {
+            console.log("Back to the live position");
+            this.board.setPosition(this.chess.fen());
+            if (!this.#resultOverlay.isShown()) {
+                this.#startTurn();
+            }
+            return true;
+        }
+
+        console.log(`Viewing ${node.toString(false) || "the starting position"}:`, node.fen);
+        this.board.setPosition(node.fen);
+        // A human to move in the viewed position may branch off from it
+        const color = node.fen.split(" ")[1];
+        if (this.#isHuman(color) && !this.#flagResult) {
+            this.board.enableMoveInput(this.handleInput.bind(this), color);
+        }
+        return true;
+    }
+
+    /**
+     * Shows the position after a ply of the line being played, see goToNode
+     * @param {number} ply - Number of half moves (0 = starting position)
+     * @returns {boolean} Whether the ply exists
+     */
+    goToPly(ply) {
+        const line = this.#getLine(this.#currentNode);
+        if (ply < 0 || ply >= line.length) {
+            return false;
+        }
+        return this.goToNode(line[ply]);
+    }
+
+    /**
+     * Gets the ply shown on the board
+     * @returns {number} Number of half moves of the shown position
+     */
+    getViewedPly() {
+        return this.#getLine(this.#viewNode || this.#currentNode).length - 1;
+    }
+
+    /**
+     * Checks whether the board shows the live position of the game
+     * @returns {boolean}
+     */
+    isViewingLivePosition() {
+        return this.#viewNode === null;
+    }
+
+    /**
+     * Shows the previous, next, first or last position of the game.
+     * "next" follows the line being played, or the line played last from the shown position.
+     * @param {"previous"|"next"|"start"|"end"} direction - Where to go
+     * @returns {boolean} Whether the position changed
+     */
+    navigate(direction) {
+        const viewed = this.#viewNode || this.#currentNode;
+        const targets = {
+            previous: viewed.parent,
+            next: this.#getNextNode(viewed),
+            start: this.#root,
+            end: this.#currentNode
+        };
+        const target = targets[direction];
+        if (!target || target === viewed) {
+            return false;
+        }
+        return this.goToNode(target);
+    }
+
+    /**
+     * Gets the root of the game tree. Its first children form the main line,
+     * further children are side lines.
+     * @returns {MoveNode} Root node (starting position)
+     */
+    getGameTree() {
+        return this.#root;
+    }
+
+    /**
+     * Gets the node of the position being played
+     * @returns {MoveNode} Current node
+     */
+    getCurrentNode() {
+        return this.#currentNode;
+    }
+
+    /**
+     * Lists the nodes from the root to a node
+     * @param {MoveNode} node - Node of the game tree
+     * @returns {MoveNode[]} Nodes starting with the root
+     * @private
+     */
+    #getLine(node) {
+        const line = [];
+        for (let current = node; current; current = current.parent) {
+            line.unshift(current);
+        }
+        return line;
+    }
+
+    /**
+     * Finds the move that follows a node: on the line being played, or else on the main line
+     * @param {MoveNode} node - Node of the game tree
+     * @returns {MoveNode|null} Next node or null at the end of the line
+     * @private
+     */
+    #getNextNode(node) {
+        const line = this.#getLine(this.#currentNode);
+        const index = line.indexOf(node);
+        if (index !== -1 && index < line.length - 1) {
+            return line[index + 1];
+        }
+        return node.children[0] || null;
+    }
+
+    /**
+     * Adds a move just made in the chess object below the current node,
+     * or follows the existing child when the move was played there before
+     * @param {object} move - Move in chess.js verbose format
+     * @private
+     */
+    #addNode(move) {
+        let node = this.#currentNode.children.find(child => child.san === move.san);
+        if (!node) {
+            node = new MoveNode({ parent: this.#currentNode, move, fen: this.chess.fen() });
+            this.#currentNode.children.push(node);
+        }
+        // The line played last is the main line, in the moves table as well as in the PGN
+        node.makeMainLine();
+        this.#currentNode = node;
+    }
+
+    /**
+     * Starts a new game tree from the moves in the chess object
+     * @private
+     */
+    #buildTreeFromHistory() {
+        const history = this.chess.history({ verbose: true });
+        history.forEach(() => this.chess.undo());
+        this.#root = new MoveNode({ fen: this.chess.fen() });
+        this.#currentNode = this.#root;
+        for (const move of history) {
+            this.chess.move(move);
+            this.#addNode(move);
+        }
+    }
+
+    /**
+     * Replays the moves leading to a node in the chess object
+     * @param {MoveNode} node - Node of the game tree
+     * @private
+     */
+    #setLine(node) {
+        while (this.chess.history().length > 0) {
+            this.chess.undo();
+        }
+        for (const lineNode of this.#getLine(node).slice(1)) {
+            this.chess.move(lineNode.move);
+        }
+    }
+
+    /**
+     * Shows the game tree in the moves table
+     * @private
+     */
+    #renderMoves() {
+        if (this.movesTableController && this.movesTableController.renderTree) {
+            this.movesTableController.renderTree(this.#root, this.#currentNode);
+            this.movesTableController.selectNode(this.#viewNode);
+        }
+        if (this.#onGameChanged) {
+            this.#onGameChanged(this.#currentNode);
+        }
+    }
+
+    /**
+     * Continues the game from the viewed node if the move is legal there.
+     * The moves after it stay in the tree.
+     * @param {object} move - Move with from and to squares
+     * @returns {boolean} Whether the move is legal in the viewed position
+     * @private
+     */
+    #branchFromViewedNode(move) {
+        const liveNode = this.#currentNode;
+        this.#setLine(this.#viewNode);
+        const legal = this.chess.moves({ square: move.from, verbose: true }).some(m => m.to === move.to);
+        if (!legal) {
+            this.#setLine(liveNode);
+            return false;
+        }
+
+        console.log(`Branching from ${this.#viewNode.toString(false) || "the starting position"}`);
+        // Cancel a computer move or result of the line that was left
+        this.#turnToken++;
+        this.#thinkingColor = null;
+        this.#currentNode = this.#viewNode;
+        this.#viewNode = null;
+        this.#resultOverlay.hide();
+        if (this.movesTableController) {
+            this.movesTableController.setResult(null);
+        }
+        return true;
+    }
+
+    /**
+     * Checks if a move from one square to another is a pawn promotion
+     * @param {string} from - Origin square
+     * @param {string} to - Target square
+     * @returns {boolean} Whether the move promotes a pawn
+     * @private
+     */
+    #isPromotionMove(from, to) {
+        return this.chess.moves({ square: from, verbose: true })
+            .some(move => move.to === to && move.promotion);
+    }
+
+    /**
+     * Plays the promotion move with the piece chosen in the dialog
+     * @param {object} move - Move without promotion piece
+     * @param {object} result - PromotionDialog result
+     * @param {number} token - Turn token when the dialog was opened
+     * @private
+     */
+    #handlePromotionResult(move, result, token) {
+        if (token !== this.#turnToken) {
+            return; // Game was reset or undone while the dialog was open
+        }
+        if (result && result.type === PROMOTION_DIALOG_RESULT_TYPE.pieceSelected) {
+            // result.piece is e.g. "wn", chess.js wants "n"
+            if (this.#playHumanMove({ ...move, promotion: result.piece.charAt(1) })) {
+                this.board.setPosition(this.chess.fen());
+                this.#afterMove();
+                return;
+            }
+        }
+        console.log("Promotion canceled");
+        this.board.setPosition(this.chess.fen());
+        this.#startTurn();
+    }
+
+    /**
+     * Makes a human move in the chess object
+     * @param {object} move - Move with from, to and promotion
+     * @returns {boolean} Whether the move was legal
+     * @private
+     */
+    #playHumanMove(move) {
         // Try to make the move in the chess object
         const moveResult = this.chess.move(move);
         
         if (moveResult) {
             console.log("Legal move:", moveResult);
-            
-            // Add move to table if controller is available
-            if (this.movesTableController) {
-                const color = moveResult.color === 'w' ? 'white' : 'black';
-                this.movesTableController.addMove(moveResult.san, color);
-            }
-            
             return true;
         } else {
             console.log("Illegal move:", move);
@@ -94,27 +652,16 @@ export class GameController extends BaseGameController {
      */
     #handleMoveFinished(event) {
         console.log("Move finished. Current turn:", this.chess.turn());
-        
-        // Update visual board position
-        this.board.setPosition(this.chess.fen());
-        
-        // Check if game ended
-        if (this.#checkGameEnd()) {
+        // Canceled and illegal input leaves the game and the shown position as they are
+        if (!event.legalMove) {
             return true;
         }
+
+        // Update visual board position
+        this.board.setPosition(this.chess.fen());
         
-        // If it's black's turn, trigger automatic move
-        if (this.chess.turn() === 'b') {
-            setTimeout(() => {
-                this.#blackPlayerController.makeAutomaticMove().then((result) => {
-                    if (result) {
-                        console.log("Black move executed:", result);
-                        // Check game end again after black move
-                        this.#checkGameEnd();
-                    }
-                });
-            }, 100);
-        }
+        // Check if game ended, otherwise hand the turn to the next player
+        this.#afterMove();
         
         return true;
     }
@@ -125,26 +672,126 @@ export class GameController extends BaseGameController {
      * @private
      */
     #checkGameEnd() {
-        if (this.chess.in_checkmate()) {
-            const winner = this.chess.turn() === 'w' ? 'Black' : 'White';
-            console.log(`Game over - Checkmate! ${winner} wins!`);
-            this.board.disableMoveInput();
-            return true;
+        const gameResult = this.getGameResult();
+        if (!gameResult) {
+            return false;
         }
-        
-        if (this.chess.in_draw()) {
-            console.log("Game over - Draw!");
-            this.board.disableMoveInput();
-            return true;
+
+        console.log(`Game over - ${gameResult.reason}! ${gameResult.title} (${gameResult.result})`);
+        this.board.disableMoveInput();
+        this.#clock.stop();
+        if (this.movesTableController && this.movesTableController.setResult) {
+            this.movesTableController.setResult(gameResult.result);
         }
-        
+        this.#resultOverlay.show({
+            title: gameResult.title,
+            reason: gameResult.reason,
+            score: gameResult.result === "1/2-1/2" ? "½-½" : gameResult.result
+        }, {
+            onNewGame: () => this.setupNewGame(),
+            onReview: () => this.#reviewGame()
+        });
+        return true;
+    }
+
+    /**
+     * Shows the finished game from its starting position. The arrow keys and
+     * the moves table step through it from there.
+     * @private
+     */
+    #reviewGame() {
+        console.log("Reviewing finished game");
+        this.goToNode(this.#root);
+    }
+
+    /**
+     * Gets the result of the game with its exact termination reason
+     * @returns {{result: string, title: string, reason: string}|null} Result ("1-0", "0-1" or "1/2-1/2"),
+     *   headline and reason, or null while the game is still running
+     */
+    getGameResult() {
+        if (this.#flagResult) {
+            return this.#flagResult;
+        }
+        if (this.chess.in_checkmate()) {
+            const whiteWins = this.chess.turn() === 'b';
+            return {
+                result: whiteWins ? "1-0" : "0-1",
+                title: whiteWins ? "White wins" : "Black wins",
+                reason: "Checkmate"
+            };
+        }
+
+        let reason = null;
         if (this.chess.in_stalemate()) {
-            console.log("Game over - Stalemate!");
-            this.board.disableMoveInput();
-            return true;
+            reason = "Stalemate";
+        } else if (this.chess.insufficient_material()) {
+            reason = "Insufficient material";
+        } else if (this.chess.in_threefold_repetition()) {
+            reason = "Threefold repetition";
+        } else if (this.#getHalfMoveClock() >= 100) {
+            reason = "50-move rule";
         }
-        
-        return false;
+        return reason ? { result: "1/2-1/2", title: "Draw", reason } : null;
+    }
+
+    /**
+     * Ends the game when a side runs out of time. The opponent wins unless
+     * it has no material left to mate with.
+     * @param {string} color - Color that ran out of time
+     * @private
+     */
+    #handleFlag(color) {
+        if (this.getGameResult()) {
+            return;
+        }
+        // Cancel a computer move or promotion dialog still in progress
+        this.#turnToken++;
+        this.#thinkingColor = null;
+
+        const opponent = color === COLOR.white ? COLOR.black : COLOR.white;
+        const opponentName = opponent === COLOR.white ? "White" : "Black";
+        if (this.#canMate(opponent)) {
+            this.#flagResult = {
+                result: opponent === COLOR.white ? "1-0" : "0-1",
+                title: `${opponentName} wins on time`,
+                reason: "Time forfeit"
+            };
+        } else {
+            this.#flagResult = {
+                result: "1/2-1/2",
+                title: "Draw",
+                reason: `Timeout, ${opponentName} has insufficient mating material`
+            };
+        }
+        this.#checkGameEnd();
+    }
+
+    /**
+     * Checks whether a side could still mate by any series of legal moves.
+     * A lone king can not, and neither can a single minor piece against a bare king.
+     * Against any other material even a lone knight or bishop can, the opponent may block its own king.
+     * @param {string} color - 'w' or 'b'
+     * @returns {boolean}
+     * @private
+     */
+    #canMate(color) {
+        const pieces = this.chess.board().flat().filter(piece => piece && piece.type !== 'k');
+        const own = pieces.filter(piece => piece.color === color);
+        if (own.length === 0) {
+            return false;
+        }
+        const isLoneMinor = own.length === 1 && (own[0].type === 'n' || own[0].type === 'b');
+        return !(isLoneMinor && own.length === pieces.length);
+    }
+
+    /**
+     * Reads the number of half moves since the last capture or pawn move
+     * @returns {number} Half-move clock of the current position
+     * @private
+     */
+    #getHalfMoveClock() {
+        return parseInt(this.chess.fen().split(" ")[4], 10) || 0;
     }
 
     /**
@@ -154,43 +801,198 @@ export class GameController extends BaseGameController {
         console.log("Setting up new game...");
         // Always disable move input before attempting to re-enable it.
         this.board.disableMoveInput();
+        this.#turnToken++;
+        this.#thinkingColor = null;
+        this.#viewNode = null;
+        this.#resultOverlay.hide();
+        this.#flagResult = null;
+        this.#clock.reset();
         this.chess.reset();
+        this.#buildTreeFromHistory();
         this.board.setPosition(FEN.start, false);
-        this.board.enableMoveInput(this.handleInput.bind(this), COLOR.white);
+        this.#updateOrientation();
         if (this.movesTableController) {
             this.movesTableController.clearMoves();
         }
+        this.#renderMoves();
+        for (const uciEngine of this.#uciEngines.values()) {
+            uciEngine.newGame().catch(error => console.error("UCI engine failed to start a new game:", error));
+        }
+        this.#startTurn();
     }
 
     /**
-     * Undoes the last move
+     * Loads a game from PGN text. The moves table is rebuilt from the game history
+     * and play continues from the final position with the current players.
+     * @param {string} pgn - PGN text, comments and variations are ignored
+     * @returns {boolean} Whether the PGN could be loaded
+     */
+    loadPgn(pgn) {
+        // Copy the headers, chess.js clears its own object while loading
+        const headers = { ...this.chess.header() };
+        const startFen = headers.FEN || FEN.start;
+        const previousMoves = this.chess.history({ verbose: true });
+
+        if (!pgn || !pgn.trim() || !this.chess.load_pgn(pgn, { sloppy: true })) {
+            console.error("Invalid PGN, keeping the current game");
+            // load_pgn leaves a partially loaded game behind, replay the previous one with its headers
+            this.chess.load(startFen);
+            this.chess.header(...Object.entries(headers).flat());
+            previousMoves.forEach(move => this.chess.move(move));
+            return false;
+        }
+        console.log("PGN loaded:", this.chess.header(), this.chess.history());
+
+        this.#buildTreeFromHistory();
+        this.#startFromLoadedPosition();
+        return true;
+    }
+
+    /**
+     * Gets the moves of the line being played
+     * @returns {Array<object>} Moves in chess.js verbose format
+     */
+    getHistory() {
+        return this.chess.history({ verbose: true });
+    }
+
+    /**
+     * Takes the game back to an earlier ply and continues from there.
+     * The later moves stay in the game tree and can be redone.
+     * @param {number} ply - Number of half moves to keep (0 = starting position)
+     * @returns {boolean} Whether the position changed
+     */
+    continueFromPly(ply) {
+        const line = this.#getLine(this.#currentNode);
+        if (ply < 0 || ply >= line.length - 1) {
+            return false;
+        }
+        this.#currentNode = line[ply];
+        this.#setLine(this.#currentNode);
+        console.log(`Continuing from ply ${ply}:`, this.chess.fen());
+
+        this.#startFromLoadedPosition();
+        return true;
+    }
+
+    /**
+     * Restarts the game flow from the current node of the game tree:
+     * clears pending turns, result and clocks, then rebuilds board and moves table
+     * @private
+     */
+    #startFromLoadedPosition() {
+        this.board.disableMoveInput();
+        this.#turnToken++;
+        this.#thinkingColor = null;
+        this.#viewNode = null;
+        this.#resultOverlay.hide();
+        this.#flagResult = null;
+        this.#clock.reset();
+        this.board.setPosition(this.chess.fen(), false);
+        this.#updateOrientation();
+        if (this.movesTableController) {
+            this.movesTableController.clearMoves();
+        }
+        this.#renderMoves();
+        for (const uciEngine of this.#uciEngines.values()) {
+            uciEngine.newGame().catch(error => console.error("UCI engine failed to start a new game:", error));
+        }
+        if (!this.#checkGameEnd()) {
+            this.#startTurn();
+        }
+    }
+
+    /**
+     * Undoes the last move. Against a computer, its reply is taken back too,
+     * so that it is a human's turn again. The moves stay in the game tree for redoMove.
      * @returns {boolean} Whether the move was successfully undone
      */
     undoMove() {
         console.log("GameController.undoMove() called");
-        const move = this.chess.undo();
-        if (move) {
-            this.board.setPosition(this.chess.fen());
-            
-            // Disable move input first, then re-enable it for the correct player
-            this.board.disableMoveInput();
-            const currentPlayer = this.chess.turn() === 'w' ? COLOR.white : COLOR.black;
-            this.board.enableMoveInput(this.handleInput.bind(this), currentPlayer);
-            
-            // Remove move from table
-            if (this.movesTableController) {
-                console.log("Calling movesTableController.removeLastMove()");
-                this.movesTableController.removeLastMove();
-            } else {
-                console.error("MovesTableController not found when undoing move");
+        if (this.#flagResult) {
+            console.log("Game was lost on time, start a new game instead");
+            return false;
+        }
+        const hasHuman = this.#isHuman(COLOR.white) || this.#isHuman(COLOR.black);
+        let undone = false;
+        do {
+            const move = this.chess.undo();
+            if (!move) {
+                break;
             }
-            
+            undone = true;
+            this.#currentNode = this.#currentNode.parent;
             console.log("Move undone:", move);
-            return true;
-        } else {
+        } while (hasHuman && !this.#isHuman(this.chess.turn()) && this.chess.history().length > 0);
+
+        if (!undone) {
             console.log("No move to undo");
+            return false;
+        }
+
+        this.#resumeAfterTakeback(hasHuman);
+        return true;
+    }
+
+    /**
+     * Replays the move that was taken back last, following the line played last.
+     * Against a computer, its reply is replayed too.
+     * @returns {boolean} Whether a move was redone
+     */
+    redoMove() {
+        console.log("GameController.redoMove() called");
+        if (this.#flagResult) {
+            console.log("Game was lost on time, start a new game instead");
+            return false;
+        }
+        const hasHuman = this.#isHuman(COLOR.white) || this.#isHuman(COLOR.black);
+        let redone = false;
+        do {
+            const next = this.#currentNode.children[0];
+            if (!next) {
+                break;
+            }
+            this.chess.move(next.move);
+            this.#currentNode = next;
+            redone = true;
+            console.log("Move redone:", next.san);
+        } while (hasHuman && !this.#isHuman(this.chess.turn()) && !this.chess.game_over());
+
+        if (!redone) {
+            console.log("No move to redo");
+            return false;
+        }
+
+        this.#resumeAfterTakeback(hasHuman);
+        return true;
+    }
+
+    /**
+     * Continues the game after the current node changed through undo or redo
+     * @param {boolean} hasHuman - Whether a human plays in the game
+     * @private
+     */
+    #resumeAfterTakeback(hasHuman) {
+        this.#turnToken++;
+        this.#thinkingColor = null;
+        this.#viewNode = null;
+        this.#resultOverlay.hide();
+        if (this.#clock.getActiveColor()) {
+            this.#clock.start(this.chess.turn());
+        }
+        this.board.setPosition(this.chess.fen());
+        if (this.movesTableController) {
+            this.movesTableController.setResult(null);
+        }
+        this.#renderMoves();
+        if (this.#checkGameEnd()) {
+            return;
+        }
+        if (hasHuman) {
+            this.#startTurn();
+        } else {
+            this.board.disableMoveInput();
         }
-        return false;
     }
 
     /**
@@ -204,32 +1006,102 @@ export class GameController extends BaseGameController {
             isCheckmate: this.chess.in_checkmate(),
             isDraw: this.chess.in_draw(),
             isStalemate: this.chess.in_stalemate(),
+            result: this.getGameResult(),
             fen: this.chess.fen(),
             history: this.chess.history(),
             ascii: this.chess.ascii()
         };
     }
 
+    /**
+     * Builds the PGN tags of the current game: player names, result,
+     * and SetUp/FEN when the game did not start from the initial position
+     * @returns {object} PGN tag values
+     */
+    getPgnTags() {
+        const tags = {
+            White: this.#getPlayerName(COLOR.white),
+            Black: this.#getPlayerName(COLOR.black),
+            Result: this.getGameResult()?.result || "*"
+        };
+        // chess.js keeps the FEN header when the game was loaded from a custom position
+        const header = this.chess.header();
+        if (header.FEN) {
+            tags.FEN = header.FEN;
+        }
+        return tags;
+    }
+
+    /**
+     * Gets the game as PGN text
+     * @returns {string} PGN
+     */
+    exportPgn() {
+        return this.movesTableController ? this.movesTableController.exportPgn(this.getPgnTags()) : this.chess.pgn();
+    }
+
+    /**
+     * Downloads the game as a .pgn file
+     */
+    downloadPgn() {
+        if (this.movesTableController) {
+            this.movesTableController.downloadPgn(this.getPgnTags());
+        }
+    }
+
+    /**
+     * Copies the game as PGN to the clipboard
+     * @returns {Promise<boolean>} Whether the copy succeeded
+     */
+    copyPgnToClipboard() {
+        if (!this.movesTableController) {
+            return Promise.resolve(false);
+        }
+        return this.movesTableController.copyPgnToClipboard(this.getPgnTags());
+    }
+
+    /**
+     * Name of a side's player for the PGN tags
+     * @param {string} color - COLOR.white or COLOR.black
+     * @returns {string} e.g. "Human", "Random mover" or "Chess Assist Engine (Casual)"
+     * @private
+     */
+    #getPlayerName(color) {
+        const type = this.#playerTypes[color];
+        if (type === "human") {
+            return "Human";
+        }
+        if (type === "random") {
+            return "Random mover";
+        }
+        if (type === "uci") {
+            return this.#uciEngines.get(color)?.getEngineName() || "UCI engine";
+        }
+        return `Chess Assist Engine (${ENGINE_LEVELS[type]?.label || type})`;
+    }
+
     /**
      * Gets the black player controller instance
-     * @returns {BlackPlayerController} The black player controller
+     * @returns {PlayerController} The black player controller
      */
     getBlackPlayerController() {
-        return this.#blackPlayerController;
+        return this.#players[COLOR.black];
     }
 
     /**
-     * Forces the black player to make a move and ensures the board
-     * is correctly configured for white's turn afterward.
+     * Forces the black computer player to make a move and hands
+     * the turn on afterward.
      */
     async forceBlackMove() {
         const blackPlayer = this.getBlackPlayerController();
-        if (blackPlayer && blackPlayer.isPlayerTurn()) {
-            const moveResult = await blackPlayer.makeAutomaticMove();
+        if (this.isComputerThinking()) {
+            console.log("Computer is already thinking.");
+            return;
+        }
+        if (blackPlayer && !this.#isHuman(COLOR.black) && blackPlayer.isPlayerTurn()) {
+            const moveResult = await blackPlayer.makeMove();
             if (moveResult) {
-                // After the move, it is white's turn. Re-enable input for white.
-                this.board.disableMoveInput();
-                this.board.enableMoveInput(this.handleInput.bind(this), COLOR.white);
+                this.#afterMove();
             }
         } else {
             console.log("Not black's turn or black player not available.");
@@ -0,0 +1,77 @@
+/**
+ * On-board game result overlay built on the cm-chessboard HtmlLayer extension
+ * @module GameResultOverlay
+ */
+
+export class GameResultOverlay {
+    #board;
+    #layer = null;
+
+    /**
+     * @param {Chessboard} board - Visual board instance with the HtmlLayer extension
+     */
+    constructor(board) {
+        this.#board = board;
+    }
+
+    /**
+     * Shows the result on top of the board
+     * @param {object} result - Result to display
+     * @param {string} result.title - Headline, e.g. "White wins"
+     * @param {string} result.reason - Termination reason, e.g. "Checkmate"
+     * @param {string} result.score - Result token shown to the player, e.g. "1-0"
+     * @param {object} actions - Button callbacks
+     * @param {function} actions.onNewGame - Called by the "New game" button
+     * @param {function} actions.onReview - Called by the "Review game" button
+     */
+    show({ title, reason, score }, { onNewGame, onReview } = {}) {
+        this.hide();
+        if (!this.#board.addHtmlLayer) {
+            console.warn("HtmlLayer extension not loaded, result:", title, reason);
+            return;
+        }
+        this.#layer = this.#board.addHtmlLayer(`
+            <div class="game-result-overlay" role="dialog" aria-live="assertive" aria-label="Game result">
+                <div class="game-result-box">
+                    <div class="game-result-score">${score}</div>
+                    <div class="game-result-title">${title}</div>
+                    <div class="game-result-reason">${reason}</div>
+                    <div class="game-result-actions">
+                        <button type="button" class="secondary" data-action="new">New game</button>
+                        <button type="button" data-action="review">Review game</button>
+                    </div>
+                </div>
+            </div>
+        `);
+        this.#layer.querySelector('[data-action="new"]').addEventListener("click", () => {
+            this.hide();
+            if (onNewGame) {
+                onNewGame();
+            }
+        });
+        this.#layer.querySelector('[data-action="review"]').addEventListener("click", () => {
+            this.hide();
+            if (onReview) {
+                onReview();
+            }
+        });
+    }
+
+    /**
+     * Removes the overlay if it is shown
+     */
+    hide() {
+        if (this.#layer) {
+            this.#board.removeHtmlLayer(this.#layer);
+            this.#layer = null;
+        }
+    }
+
+    /**
+     * Checks whether the overlay is currently shown
+     * @returns {boolean}
+     */
+    isShown() {
+        return this.#layer !== null;
+    }
+}
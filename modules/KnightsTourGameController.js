@@ -0,0 +1,343 @@
+/**
+ * Module for controlling the Knight's Tour: the knight must land on every square
+ * of the board exactly once. Visited squares are marked and numbered on the board.
+ * @module KnightsTourGameController
+ */
+
+import { INPUT_EVENT_TYPE, COLOR } from "../cm-chessboard-master/src/Chessboard.js";
+import { MOVE_CANCELED_REASON } from "../cm-chessboard-master/src/view/VisualMoveInput.js";
+import { BORDER_TYPE } from "../cm-chessboard-master/src/view/ChessboardView.js";
+import { MARKER_TYPE } from "../cm-chessboard-master/src/extensions/markers/Markers.js";
+import { BaseGameController } from "./BaseGameController.js";
+import { LoneKnightFenGenerator } from "./LoneKnightFenGenerator.js";
+import { MoveRejectionExplainer } from "./MoveRejectionExplainer.js";
+
+// Marker types of the tour, the hint is styled in styles.css
+const TOUR_MARKER = {
+    visited: MARKER_TYPE.square,
+    hint: { class: "marker-next-step", slice: "markerCircle" }
+};
+
+// Width of the board border as a share of the board width, see ChessboardView.updateMetrics()
+const BORDER_SHARE = {
+    [BORDER_TYPE.frame]: 1 / 25,
+    [BORDER_TYPE.thin]: 1 / 320,
+    [BORDER_TYPE.none]: 0
+};
+
+const BOARD_SIZE = 64;
+
+export class KnightsTourGameController extends BaseGameController {
+    #fenGenerator;
+    #explainer = new MoveRejectionExplainer();
+    #tour = [];
+    #numberLayer = null;
+    #hintsEnabled = false;
+    #hintSquare = null;
+    #hintsUsed = 0;
+    #finished = false;
+
+    /**
+     * @param {Chess} chess - The chess.js instance.
+     * @param {Chessboard} board - The visual board instance with the Markers and HtmlLayer extensions.
+     * @param {KnightsTourMovesTableController} movesTableController - The moves table controller.
+     */
+    constructor(chess, board, movesTableController) {
+        super(chess, board, movesTableController);
+        this.#fenGenerator = new LoneKnightFenGenerator();
+    }
+
+    /**
+     * Turns the Warnsdorff hint on or off.
+     * @param {boolean} enabled
+     */
+    setHintsEnabled(enabled) {
+        this.#hintsEnabled = enabled;
+        this.#showHint();
+    }
+
+    /**
+     * Whether the Warnsdorff hint is shown.
+     * @returns {boolean}
+     */
+    getHintsEnabled() {
+        return this.#hintsEnabled;
+    }
+
+    /**
+     * Gets the squares of the tour so far, starting with the square of the knight.
+     * @returns {Array<string>}
+     */
+    getTour() {
+        return [...this.#tour];
+    }
+
+    /**
+     * Sets up a new tour with the knight on a random square.
+     */
+    setupNewGame() {
+        const start = String.fromCharCode('a'.charCodeAt(0) + Math.floor(Math.random() * 8)) + (Math.floor(Math.random() * 8) + 1);
+        const boardArray = Array(8).fill(null).map(() => Array(8).fill(null));
+        boardArray[8 - parseInt(start[1], 10)][start.charCodeAt(0) - 'a'.charCodeAt(0)] = 'N';
+        const fen = this.#fenGenerator.arrayToFen(boardArray, 'w', '-', '-', 0, 1);
+        this.#tour = [start];
+        this.#hintsUsed = 0;
+        this.#finished = false;
+        console.log("Knight's Tour starts at:", start);
+
+        try {
+            this.board.disableMoveInput();
+        } catch (e) {
+            // Move input might not be enabled, ignore error
+        }
+
+        this.chess.load(fen);
+        this.movesTableController.clearMoves();
+        this.board.setPosition(this.chess.fen(), false);
+        this.#refresh();
+
+        // Wait a small amount of time to ensure the position is set
+        setTimeout(() => {
+            this.board.enableMoveInput(this.handleInput.bind(this), COLOR.white);
+        }, 100);
+    }
+
+    /**
+     * Takes back the last knight move.
+     * @returns {boolean} Whether a move was taken back
+     */
+    undo() {
+        if (this.#finished || this.#tour.length < 2) {
+            return false;
+        }
+        const from = this.#tour.pop();
+        const to = this.#tour[this.#tour.length - 1];
+        this.chess.remove(from);
+        this.chess.put({ type: 'n', color: 'w' }, to);
+        this.movesTableController.removeLastMove();
+        this.board.setPosition(this.chess.fen(), true);
+        this.#refresh();
+        console.log(`Knight's Tour: took back N${to}-${from}`);
+        return true;
+    }
+
+    /**
+     * Main handler for board input events.
+     * @param {object} event - The board event.
+     * @returns {boolean}
+     */
+    handleInput(event) {
+        switch (event.type) {
+            case INPUT_EVENT_TYPE.moveInputStarted:
+                if (this.board.removeMarkers) {
+                    this.board.removeMarkers(MARKER_TYPE.circleDanger);
+                }
+                return event.piece === 'wn';
+            case INPUT_EVENT_TYPE.moveInputCanceled:
+                if (event.reason === MOVE_CANCELED_REASON.movedOutOfBoard) {
+                    this.#explainRejection(event.squareFrom, null);
+                }
+                return true;
+            case INPUT_EVENT_TYPE.validateMoveInput: {
+                // The tour rule comes before the chess rules
+                const visit = this.#tour.indexOf(event.squareTo);
+                if (visit !== -1) {
+                    const message = `The knight has already been on ${event.squareTo} (square ${visit + 1} of the tour).`;
+                    console.log("Move breaks the tour rule:", message);
+                    this.movesTableController.addRejectionMessage(event.squareFrom, event.squareTo, message);
+                    return false;
+                }
+
+                const move = this.playSoloMove(event.squareFrom, event.squareTo);
+                if (move) {
+                    if (move.to === this.#hintSquare) {
+                        this.#hintsUsed++;
+                    }
+                    this.#tour.push(move.to);
+                    this.movesTableController.addMove(move);
+                    this.#refresh();
+                    if (!this.#checkWinCondition()) {
+                        this.#checkStuck(move.to);
+                    }
+
+                    // Let the visual board handle the move animation, then sync
+                    setTimeout(() => {
+                        this.board.setPosition(this.chess.fen(), false);
+                    }, 50);
+                } else {
+                    this.#explainRejection(event.squareFrom, event.squareTo);
+                }
+                return !!move;
+            }
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Suggests the next square with Warnsdorff's rule: jump to the unvisited square
+     * with the fewest onward moves. Ties go to the square farther from the centre.
+     * @returns {string|null} Suggested square, null when the knight is stuck
+     */
+    getWarnsdorffSquare() {
+        const visited = new Set(this.#tour);
+        const distanceFromCentre = (square) =>
+            Math.abs(square.charCodeAt(0) - 'a'.charCodeAt(0) - 3.5) + Math.abs(parseInt(square[1], 10) - 4.5);
+        const candidates = this.#getOpenMoves(this.#tour[this.#tour.length - 1], visited).map(square => ({
+            square,
+            onward: this.#getOpenMoves(square, visited).length
+        }));
+        if (candidates.length === 0) {
+            return null;
+        }
+        candidates.sort((a, b) => a.onward - b.onward || distanceFromCentre(b.square) - distanceFromCentre(a.square));
+        return candidates[0].square;
+    }
+
+    /**
+     * Unvisited squares a knight can jump to.
+     * @param {string} square - Square of the knight.
+     * @param {Set<string>} visited - Squares of the tour.
+     * @returns {Array<string>}
+     * @private
+     */
+    #getOpenMoves(square, visited) {
+        return this.#fenGenerator.getKnightMoves(square).filter(target => !visited.has(target));
+    }
+
+    /**
+     * Updates the markers, the square numbers, the hint and the challenge display.
+     * @private
+     */
+    #refresh() {
+        if (this.board.addMarker) {
+            this.board.removeMarkers(TOUR_MARKER.visited);
+            this.#tour.forEach(square => this.board.addMarker(TOUR_MARKER.visited, square));
+        }
+        this.#showNumbers();
+        this.#showHint();
+        this.#updateChallengeDisplay();
+    }
+
+    /**
+     * Numbers the visited squares in the order of the tour on an HtmlLayer over the board.
+     * @private
+     */
+    #showNumbers() {
+        if (!this.board.addHtmlLayer) {
+            return;
+        }
+        if (this.#numberLayer) {
+            this.board.removeHtmlLayer(this.#numberLayer);
+        }
+        const order = new Map(this.#tour.map((square, index) => [square, index + 1]));
+        const whiteBelow = this.board.getOrientation() === COLOR.white;
+        const cells = [];
+        for (let row = 0; row < 8; row++) {
+            for (let column = 0; column < 8; column++) {
+                const file = whiteBelow ? column : 7 - column;
+                const rank = whiteBelow ? 8 - row : row + 1;
+                const square = String.fromCharCode('a'.charCodeAt(0) + file) + rank;
+                const number = order.get(square);
+                cells.push(`<div class="tour-number">${number || ''}</div>`);
+            }
+        }
+        const border = (BORDER_SHARE[this.board.props.style.borderType] || 0) * 100;
+        this.#numberLayer = this.board.addHtmlLayer(
+            `<div class="tour-numbers" style="inset: ${border}%;" aria-hidden="true">${cells.join('')}</div>`
+        );
+        // The layer covers the whole board, so the knight is dragged and clicked through it
+        this.#numberLayer.style.pointerEvents = "none";
+    }
+
+    /**
+     * Marks the square suggested by Warnsdorff's rule when hints are on.
+     * Moves to the suggested square count as hints used.
+     * @private
+     */
+    #showHint() {
+        if (!this.board.addMarker) {
+            return;
+        }
+        this.board.removeMarkers(TOUR_MARKER.hint);
+        this.#hintSquare = this.#hintsEnabled && !this.#finished ? this.getWarnsdorffSquare() : null;
+        if (this.#hintSquare) {
+            this.board.addMarker(TOUR_MARKER.hint, this.#hintSquare);
+        }
+    }
+
+    /**
+     * Updates the challenge display with the progress of the tour.
+     * @private
+     */
+    #updateChallengeDisplay() {
+        const challengeElement = document.getElementById('knightsTourChallenge');
+        if (challengeElement) {
+            challengeElement.innerHTML = `
+                <div class="challenge-info">
+                    <div class="optimal-moves">Visited: ${this.#tour.length}/${BOARD_SIZE} squares</div>
+                    <div class="current-moves">Moves: ${this.#tour.length - 1}</div>
+                    ${this.#hintsUsed > 0 ? `<div class="current-moves">💡 Hints used: ${this.#hintsUsed}</div>` : ''}
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * Shows why a move was rejected and marks the pieces guarding the target square.
+     * @param {string} from - Origin square.
+     * @param {string|null} to - Target square, null when the piece was dropped off the board.
+     * @private
+     */
+    #explainRejection(from, to) {
+        const explanation = this.#explainer.explain(this.chess, from, to);
+        console.log("Move rejected:", explanation.reason, "-", explanation.message);
+        this.movesTableController.addRejectionMessage(from, to, explanation.message);
+        if (this.board.addMarker) {
+            this.board.removeMarkers(MARKER_TYPE.circleDanger);
+            explanation.attackers.forEach(attacker => this.board.addMarker(MARKER_TYPE.circleDanger, attacker.square));
+        }
+    }
+
+    /**
+     * Tells the student when every move of the knight lands on a visited square.
+     * The input stays on, so the student can undo and try another route.
+     * @param {string} knightSquare - Square of the knight.
+     * @private
+     */
+    #checkStuck(knightSquare) {
+        if (this.#getOpenMoves(knightSquare, new Set(this.#tour)).length > 0) {
+            return;
+        }
+        setTimeout(() => {
+            alert(`🪤 The knight is stuck on ${knightSquare} after ${this.#tour.length} squares. Undo some moves and try another route!`);
+            console.log("Knight's Tour: the knight is stuck");
+        }, 300);
+    }
+
+    /**
+     * Checks if every square has been visited.
+     * @returns {boolean} Whether the tour is complete
+     * @private
+     */
+    #checkWinCondition() {
+        if (this.#tour.length < BOARD_SIZE) {
+            return false;
+        }
+        this.board.disableMoveInput();
+        this.#finished = true;
+        this.#showHint();
+        const start = this.#tour[0];
+        const end = this.#tour[this.#tour.length - 1];
+        const closed = this.#fenGenerator.getKnightMoves(end).includes(start);
+        // Use a small timeout to allow the move animation to finish
+        setTimeout(() => {
+            const hints = this.#hintsUsed > 0 ? ` with ${this.#hintsUsed} hint${this.#hintsUsed > 1 ? 's' : ''}` : ' without hints';
+            alert(closed ?
+                `🏆 Closed tour! The knight visited all ${BOARD_SIZE} squares${hints} and can jump back to ${start}!` :
+                `🎉 Tour complete! The knight visited all ${BOARD_SIZE} squares${hints}.`);
+            console.log("Knight's Tour: Win condition met!", this.#tour.join(" "));
+        }, 300);
+        return true;
+    }
+}
@@ -1,11 +1,12 @@
 import { BaseMovesTableController } from "./BaseMovesTableController.js";
 
 /**
- * Lone Knight Moves Table Controller
- * Manages the moves table UI for the Lone Knight game mode.
- * @module LoneKnightMovesTableController
+ * Knight's Tour Moves Table Controller
+ * Manages the moves table UI for the Knight's Tour game mode.
+ * Rejected moves are listed without a number, so that undoing a move only removes tour moves.
+ * @module KnightsTourMovesTableController
  */
-export class LoneKnightMovesTableController extends BaseMovesTableController {
+export class KnightsTourMovesTableController extends BaseMovesTableController {
     #moveCounter = 0;
 
     /**
@@ -18,43 +19,49 @@ export class LoneKnightMovesTableController extends BaseMovesTableController {
     /**
      * Adds a new move to the table.
      * @param {object} move - The move object from chess.js, containing the SAN.
-     * @param {boolean} isIllegal - Whether the move was illegal.
      */
-    addMove(move, isIllegal = false) {
+    addMove(move) {
         if (!this.tableBody || !move) return;
         this.#moveCounter++;
         const row = document.createElement("tr");
-        row.id = `lone-knight-move-${this.#moveCounter}`;
-        
-        let moveDisplay = move.san;
-        if (isIllegal) {
-            moveDisplay += ' <span class="illegal-indicator">Illegal!</span>';
-            row.className = "illegal-warning-row";
-        }
-        
-        row.innerHTML = `<td>${this.#moveCounter}</td><td>${moveDisplay}</td>`;
+        row.id = `knights-tour-move-${this.#moveCounter}`;
+        row.innerHTML = `<td>${this.#moveCounter}</td><td>${move.san}</td>`;
         this.tableBody.appendChild(row);
         this.#scrollToLastMove();
     }
 
     /**
-     * Adds an illegal move message when a move is rejected.
+     * Adds a message explaining why a move was rejected.
      * @param {string} fromSquare - The square the knight tried to move from.
-     * @param {string} toSquare - The square the knight tried to move to.
+     * @param {string|null} toSquare - The square the knight tried to move to, null when dropped off the board.
+     * @param {string} reason - Explanation of the rejection.
      */
-    addIllegalMoveMessage(fromSquare, toSquare) {
+    addRejectionMessage(fromSquare, toSquare, reason) {
         if (!this.tableBody) return;
-        this.#moveCounter++;
         const row = document.createElement("tr");
-        row.id = `lone-knight-move-${this.#moveCounter}`;
         row.className = "illegal-warning-row";
-        const moveAttempt = `${fromSquare}-${toSquare}`;
-        const illegalMessage = `<span class="illegal-indicator">Illegal Move! Cannot move to ${toSquare}</span>`;
-        row.innerHTML = `<td>${this.#moveCounter}</td><td>${illegalMessage}</td>`;
+        const moveAttempt = `${fromSquare}-${toSquare || "?"}`;
+        const rejectionMessage = `<span class="illegal-indicator">Illegal Move ${moveAttempt}!</span> ${reason}`;
+        row.innerHTML = `<td></td><td>${rejectionMessage}</td>`;
         this.tableBody.appendChild(row);
         this.#scrollToLastMove();
     }
 
+    /**
+     * Removes the last move and the rejection messages written after it.
+     */
+    removeLastMove() {
+        if (!this.tableBody || this.#moveCounter === 0) return;
+        const lastMove = document.getElementById(`knights-tour-move-${this.#moveCounter}`);
+        while (lastMove && lastMove.nextElementSibling) {
+            lastMove.nextElementSibling.remove();
+        }
+        if (lastMove) {
+            lastMove.remove();
+        }
+        this.#moveCounter--;
+    }
+
     /**
      * Clears all moves from the table.
      */
@@ -1,136 +1,257 @@
-import { FenGenerator } from "./FenGenerator.js";
+import { SoloPieceFenGenerator } from "./SoloPieceFenGenerator.js";
+import { getPawnDefendedSquares } from "./SoloPiecePuzzles.js";
+
+const KNIGHT_OFFSETS = [
+    [-2, -1], [-2, 1], [-1, -2], [-1, 2],
+    [1, -2], [1, 2], [2, -1], [2, 1]
+];
 
 /**
- * Generates a random FEN for the Lone Knight puzzle and calculates optimal moves.
- * The puzzle consists of a white knight on corners (a1-a8, h1, h8) and 8 black pawns spread throughout the board.
+ * Generates and solves the Lone Knight puzzle (SOLO_PUZZLES.loneKnight): a white knight
+ * and black pawns to capture. The positions are placed like the other solo piece puzzles,
+ * but with up to 12 pawns the breadth-first search is too slow, so the shortest route is
+ * found with knight distances instead.
  */
-export class LoneKnightFenGenerator extends FenGenerator {
+export class LoneKnightFenGenerator extends SoloPieceFenGenerator {
+    #distanceTables = null;
+
     /**
-     * Generates a random FEN for the Lone Knight puzzle.
-     * @returns {object} Object with FEN string and optimal move count
+     * Finds the shortest route capturing every pawn. The position only holds the knight
+     * and the pawns, and knights jump over pieces, so the squares are all that is needed.
+     * @param {string} fen - Starting position
+     * @param {string} start - Square of the knight
+     * @param {string} winCondition - Always WIN_CONDITION.captureAll
+     * @param {Array<string>} targets - Squares of the pawns
+     * @param {Array<string>} protectedPawns - Pawns whose defended squares the knight may not land on (optional)
+     * @returns {{moves: number, path: Array<string>}|null} Shortest solution, or null if there is none
      */
-    generateFen() {
-        const boardArray = Array(8).fill(null).map(() => Array(8).fill(null));
-        const occupied = new Set();
-
-        // Define knight starting positions (corners: a1-a8, h1, h8)
-        const knightPositions = [
-            'a1', 'a2', 'a3', 'a4', 'a5', 'a6', 'a7', 'a8',
-            'h1', 'h8'
-        ];
-
-        // Select random knight position
-        const knightSquare = knightPositions[Math.floor(Math.random() * knightPositions.length)];
-        const knightFile = knightSquare.charCodeAt(0) - 'a'.charCodeAt(0);
-        const knightRank = 8 - parseInt(knightSquare[1], 10);
-        boardArray[knightRank][knightFile] = 'N'; // White knight
-        occupied.add(knightSquare);
-
-        // Store pawn positions for optimal calculation
-        const pawnPositions = [];
-        
-        // Place exactly 8 black pawns randomly throughout the board
-        for (let i = 0; i < 8; i++) {
-            let square, rank, file;
-            do {
-                file = Math.floor(Math.random() * 8);
-                rank = Math.floor(Math.random() * 8);
-                square = String.fromCharCode('a'.charCodeAt(0) + file) + (8 - rank);
-            } while (occupied.has(square));
-            
-            occupied.add(square);
-            boardArray[rank][file] = 'p'; // Black pawn
-            pawnPositions.push(square);
-        }
-
-        const fen = this.arrayToFen(boardArray, 'w', '-', '-', 0, 1);
-        const optimalMoves = this.calculateOptimalMoves(knightSquare, pawnPositions);
-
-        return {
-            fen: fen,
-            optimalMoves: optimalMoves,
-            knightStart: knightSquare,
-            pawnPositions: pawnPositions
-        };
+    solve(fen, start, winCondition, targets, protectedPawns = []) {
+        const route = this.#findCaptureRoute(start, targets, protectedPawns);
+        return route.moves === Infinity ? null : { moves: route.moves, path: route.path };
     }
 
     /**
-     * Calculates the optimal number of moves to capture all pawns using a greedy nearest-neighbor approach.
+     * Calculates the minimum number of knight moves needed to capture all pawns.
      * @param {string} knightStart - Starting position of the knight
      * @param {Array<string>} pawnPositions - Array of pawn positions
-     * @returns {number} Estimated optimal number of moves
+     * @returns {number} Exact optimal number of moves
      */
     calculateOptimalMoves(knightStart, pawnPositions) {
-        const knightMoves = [
-            [-2, -1], [-2, 1], [-1, -2], [-1, 2],
-            [1, -2], [1, 2], [2, -1], [2, 1]
-        ];
-
-        // Convert square notation to coordinates
-        const squareToCoords = (square) => {
-            const file = square.charCodeAt(0) - 'a'.charCodeAt(0);
-            const rank = parseInt(square[1]) - 1;
-            return [file, rank];
-        };
-
-        // Calculate minimum knight moves between two squares using BFS
-        const knightDistance = (from, to) => {
-            const [fromFile, fromRank] = squareToCoords(from);
-            const [toFile, toRank] = squareToCoords(to);
-            
-            if (fromFile === toFile && fromRank === toRank) return 0;
-            
-            const queue = [[fromFile, fromRank, 0]];
-            const visited = new Set();
-            visited.add(`${fromFile},${fromRank}`);
-            
-            while (queue.length > 0) {
-                const [file, rank, moves] = queue.shift();
-                
-                for (const [df, dr] of knightMoves) {
-                    const newFile = file + df;
-                    const newRank = rank + dr;
-                    const key = `${newFile},${newRank}`;
-                    
-                    if (newFile >= 0 && newFile < 8 && newRank >= 0 && newRank < 8 && !visited.has(key)) {
-                        if (newFile === toFile && newRank === toRank) {
-                            return moves + 1;
-                        }
-                        
-                        visited.add(key);
-                        queue.push([newFile, newRank, moves + 1]);
+        return this.#findCaptureRoute(knightStart, pawnPositions).moves;
+    }
+
+    /**
+     * Finds the shortest route capturing every pawn.
+     * Solved exactly with dynamic programming over the subsets of captured pawns
+     * (Held-Karp), using precomputed knight distances between the squares.
+     * Squares defended by protected pawns still on the board are avoided, so the
+     * distances are computed once for every set of remaining protected pawns.
+     * @param {string} knightStart - Starting position of the knight
+     * @param {Array<string>} pawnPositions - Array of pawn positions
+     * @param {Array<string>} protectedPawns - Pawns whose defended squares the knight may not land on (optional)
+     * @returns {{moves: number, captureOrder: Array<string>, path: Array<string>}}
+     *   Optimal move count (Infinity when some pawn can not be reached), pawns in capture order
+     *   and every square the knight lands on
+     * @private
+     */
+    #findCaptureRoute(knightStart, pawnPositions, protectedPawns = []) {
+        const count = pawnPositions.length;
+        if (count === 0) {
+            return { moves: 0, captureOrder: [], path: [] };
+        }
+
+        // Distances for each subset of the protected pawns that are still on the board
+        const guards = protectedPawns.map(square => pawnPositions.indexOf(square)).filter(index => index !== -1);
+        const tables = [];
+        for (let subset = 0; subset < (1 << guards.length); subset++) {
+            const blocked = this.#getBlockedSquares(guards.filter((_, bit) => subset & (1 << bit)).map(index => pawnPositions[index]));
+            tables.push({
+                blocked,
+                fromStart: pawnPositions.map(pawn => this.getKnightDistance(knightStart, pawn, blocked)),
+                between: pawnPositions.map(from => pawnPositions.map(to => this.getKnightDistance(from, to, blocked)))
+            });
+        }
+        // Subset of the protected pawns not yet captured in a mask
+        const remainingGuards = (mask) => guards.reduce((subset, index, bit) => (mask & (1 << index)) ? subset : subset | (1 << bit), 0);
+        const allGuards = tables.length - 1;
+
+        // cost[mask * count + last]: fewest moves capturing the pawns in mask, ending on pawn last
+        const fullMask = (1 << count) - 1;
+        const cost = new Array((fullMask + 1) * count).fill(Infinity);
+        const previous = new Array((fullMask + 1) * count).fill(-1);
+        for (let i = 0; i < count; i++) {
+            cost[(1 << i) * count + i] = tables[allGuards].fromStart[i];
+        }
+
+        for (let mask = 1; mask <= fullMask; mask++) {
+            const between = tables[remainingGuards(mask)].between;
+            for (let last = 0; last < count; last++) {
+                const current = cost[mask * count + last];
+                if (!(mask & (1 << last)) || current === Infinity) {
+                    continue;
+                }
+                for (let next = 0; next < count; next++) {
+                    if (mask & (1 << next)) {
+                        continue;
+                    }
+                    const nextMask = mask | (1 << next);
+                    const total = current + between[last][next];
+                    if (total < cost[nextMask * count + next]) {
+                        cost[nextMask * count + next] = total;
+                        previous[nextMask * count + next] = last;
                     }
                 }
             }
-            return Infinity; // Should never happen on a valid board
-        };
-
-        // Use greedy nearest-neighbor approach
-        let totalMoves = 0;
-        let currentPosition = knightStart;
-        const remainingPawns = [...pawnPositions];
-
-        while (remainingPawns.length > 0) {
-            let nearestPawn = null;
-            let minDistance = Infinity;
-
-            // Find the nearest pawn
-            for (let i = 0; i < remainingPawns.length; i++) {
-                const distance = knightDistance(currentPosition, remainingPawns[i]);
-                if (distance < minDistance) {
-                    minDistance = distance;
-                    nearestPawn = i;
-                }
+        }
+
+        let last = 0;
+        for (let i = 1; i < count; i++) {
+            if (cost[fullMask * count + i] < cost[fullMask * count + last]) {
+                last = i;
             }
+        }
+        const moves = cost[fullMask * count + last];
+        if (moves === Infinity) {
+            return { moves, captureOrder: [], path: [] };
+        }
+
+        // Walk the table back to read the capture order
+        const captureOrder = [];
+        let mask = fullMask;
+        while (last !== -1) {
+            captureOrder.unshift(pawnPositions[last]);
+            const before = previous[mask * count + last];
+            mask &= ~(1 << last);
+            last = before;
+        }
+
+        const path = [];
+        let square = knightStart;
+        let captured = 0;
+        for (const pawn of captureOrder) {
+            path.push(...this.getKnightPath(square, pawn, tables[remainingGuards(captured)].blocked));
+            captured |= 1 << pawnPositions.indexOf(pawn);
+            square = pawn;
+        }
+
+        return { moves, captureOrder, path };
+    }
 
-            // Move to the nearest pawn
-            if (nearestPawn !== null) {
-                totalMoves += minDistance;
-                currentPosition = remainingPawns[nearestPawn];
-                remainingPawns.splice(nearestPawn, 1);
+    /**
+     * Minimum number of knight moves between two squares.
+     * @param {string} from - Origin square
+     * @param {string} to - Target square
+     * @param {Set<string>} blocked - Squares the knight may not land on (optional, empty board by default)
+     * @returns {number} Number of moves, Infinity when the target can not be reached
+     */
+    getKnightDistance(from, to, blocked = null) {
+        return this.#getDistanceTable(from, blocked)[this.#squareToIndex(to)];
+    }
+
+    /**
+     * A shortest knight route between two squares.
+     * @param {string} from - Origin square
+     * @param {string} to - Target square
+     * @param {Set<string>} blocked - Squares the knight may not land on (optional, empty board by default)
+     * @returns {Array<string>} Squares the knight lands on, ending with the target
+     */
+    getKnightPath(from, to, blocked = null) {
+        // Walk back from the target, always to a square one move closer to the origin
+        const distances = this.#getDistanceTable(from, blocked);
+        const path = [];
+        let index = this.#squareToIndex(to);
+        while (distances[index] > 0) {
+            path.unshift(this.#indexToSquare(index));
+            index = this.#getKnightTargets(index).find(target => distances[target] === distances[index] - 1);
+        }
+        return path;
+    }
+
+    /**
+     * Squares a knight can jump to from a square on the empty board.
+     * @param {string} square - Origin square
+     * @returns {Array<string>} Target squares
+     */
+    getKnightMoves(square) {
+        return this.#getKnightTargets(this.#squareToIndex(square)).map(index => this.#indexToSquare(index));
+    }
+
+    /**
+     * Squares defended by a group of pawns.
+     * @param {Array<string>} pawns - Pawn squares
+     * @returns {Set<string>} Defended squares
+     * @private
+     */
+    #getBlockedSquares(pawns) {
+        return new Set(pawns.flatMap(square => getPawnDefendedSquares(square)));
+    }
+
+    /**
+     * Knight distances from a square to every square, computed with BFS.
+     * Tables of the empty board are cached.
+     * @param {string} square - Origin square
+     * @param {Set<string>} blocked - Squares the knight may not land on (optional)
+     * @returns {Array<number>} Distances indexed by square (a1 = 0, h8 = 63)
+     * @private
+     */
+    #getDistanceTable(square, blocked = null) {
+        const cacheable = !blocked || blocked.size === 0;
+        if (!this.#distanceTables) {
+            this.#distanceTables = new Map();
+        }
+        if (cacheable && this.#distanceTables.has(square)) {
+            return this.#distanceTables.get(square);
+        }
+
+        const distances = new Array(64).fill(Infinity);
+        const origin = this.#squareToIndex(square);
+        distances[origin] = 0;
+        const queue = [origin];
+        while (queue.length > 0) {
+            const index = queue.shift();
+            for (const target of this.#getKnightTargets(index)) {
+                if (distances[target] === Infinity && !(blocked && blocked.has(this.#indexToSquare(target)))) {
+                    distances[target] = distances[index] + 1;
+                    queue.push(target);
+                }
             }
         }
+        if (cacheable) {
+            this.#distanceTables.set(square, distances);
+        }
+        return distances;
+    }
+
+    /**
+     * Squares a knight attacks from a square.
+     * @param {number} index - Square index (a1 = 0, h8 = 63)
+     * @returns {Array<number>} Target square indexes
+     * @private
+     */
+    #getKnightTargets(index) {
+        const file = index % 8;
+        const rank = Math.floor(index / 8);
+        return KNIGHT_OFFSETS
+            .map(([df, dr]) => [file + df, rank + dr])
+            .filter(([f, r]) => f >= 0 && f < 8 && r >= 0 && r < 8)
+            .map(([f, r]) => r * 8 + f);
+    }
+
+    /**
+     * @param {string} square - Square in algebraic notation
+     * @returns {number} Square index (a1 = 0, h8 = 63)
+     * @private
+     */
+    #squareToIndex(square) {
+        return (parseInt(square[1], 10) - 1) * 8 + (square.charCodeAt(0) - 'a'.charCodeAt(0));
+    }
 
-        return totalMoves;
+    /**
+     * @param {number} index - Square index (a1 = 0, h8 = 63)
+     * @returns {string} Square in algebraic notation
+     * @private
+     */
+    #indexToSquare(index) {
+        return String.fromCharCode('a'.charCodeAt(0) + index % 8) + (Math.floor(index / 8) + 1);
     }
 }
@@ -0,0 +1,338 @@
+/**
+ * Module for controlling the mate puzzles: the student plays the mating side and only
+ * moves that keep a forced mate are accepted. The defender answers on its own with the
+ * reply that holds out the longest. In a tactic line the student has to find the moves
+ * of the line and the defender follows it.
+ * @module MatePuzzleGameController
+ */
+
+import { INPUT_EVENT_TYPE, COLOR } from "../cm-chessboard-master/src/Chessboard.js";
+import { BaseGameController } from "./BaseGameController.js";
+import { MateSearch } from "./MateSearch.js";
+import { PUZZLE_TYPE } from "./MatePuzzleLoader.js";
+
+// Time in ms before the defender answers, so the student can follow the moves
+const DEFENCE_DELAY = 600;
+
+// Time in ms between two moves of a shown solution
+const SOLUTION_STEP_DELAY = 900;
+
+export class MatePuzzleGameController extends BaseGameController {
+    #puzzles;
+    #search;
+    #index = 0;
+    #attacker = 'w';
+    #movesLeft = 0;
+    #line = null;
+    #timer = null;
+
+    /**
+     * @param {Chess} chess - The chess.js instance.
+     * @param {Chessboard} board - The visual board instance.
+     * @param {MovesTableController} movesTableController - The moves table controller.
+     * @param {Array<object>} puzzles - Puzzles checked by MatePuzzleLoader.
+     * @param {MateSearch} search - Mate search that judges the moves (optional)
+     */
+    constructor(chess, board, movesTableController, puzzles, search = new MateSearch()) {
+        super(chess, board, movesTableController);
+        this.#puzzles = puzzles;
+        this.#search = search;
+    }
+
+    /**
+     * Gets the puzzle being played.
+     * @returns {object|null}
+     */
+    getPuzzle() {
+        return this.#puzzles[this.#index] || null;
+    }
+
+    /**
+     * Sets up the current puzzle again from its starting position.
+     */
+    setupNewGame() {
+        this.#stopTimer();
+        const puzzle = this.getPuzzle();
+        if (!puzzle) {
+            this.#setStatus("No puzzles to play.");
+            return;
+        }
+        this.chess.load(puzzle.fen);
+        this.#attacker = this.chess.turn();
+        this.#movesLeft = puzzle.mateIn;
+        this.#line = puzzle.solution[0];
+        console.log(`Puzzle ${this.#index + 1}/${this.#puzzles.length}: ${puzzle.name}, ${this.#describeGoal(puzzle)}`, puzzle.fen);
+
+        this.board.disableMoveInput();
+        this.board.setOrientation(this.#attacker === 'w' ? COLOR.white : COLOR.black);
+        this.board.setPosition(this.chess.fen(), false);
+        this.movesTableController.clearMoves();
+        this.#updatePuzzleDisplay();
+        this.#setStatus(this.#isLine() ?
+            `${this.#sideName(this.#attacker)} to move. Find the ${this.#describeGoal(puzzle)}.` :
+            `${this.#sideName(this.#attacker)} to move and mate in ${puzzle.mateIn}.`);
+        this.#enableInput();
+    }
+
+    /**
+     * Goes on with the next puzzle, after the last one the first comes again.
+     */
+    nextPuzzle() {
+        if (this.#puzzles.length === 0) {
+            return;
+        }
+        this.#index = (this.#index + 1) % this.#puzzles.length;
+        this.setupNewGame();
+    }
+
+    /**
+     * Plays the solution of the puzzle from its starting position, one move at a time.
+     */
+    showSolution() {
+        const puzzle = this.getPuzzle();
+        if (!puzzle) {
+            return;
+        }
+        this.setupNewGame();
+        this.board.disableMoveInput();
+        const text = puzzle.solution.map((node, ply) =>
+            ply === 0 || node.move.color === 'w' ? node.toString(false) : node.san).join(" ");
+        this.#setStatus(`Solution: ${text}`);
+        console.log(`${puzzle.name} solution: ${text}`);
+
+        let ply = 0;
+        const nextStep = () => {
+            const node = puzzle.solution[ply++];
+            if (!node) {
+                this.#timer = null;
+                return;
+            }
+            this.#play(node.move);
+            this.#timer = setTimeout(nextStep, SOLUTION_STEP_DELAY);
+        };
+        this.#timer = setTimeout(nextStep, SOLUTION_STEP_DELAY);
+    }
+
+    /**
+     * Main handler for board input events.
+     * @param {object} event - The board event.
+     * @returns {boolean}
+     */
+    handleInput(event) {
+        switch (event.type) {
+            case INPUT_EVENT_TYPE.moveInputStarted:
+                // Only the mating side is played by the student
+                return this.chess.turn() === this.#attacker && event.piece.charAt(0) === this.#attacker;
+            case INPUT_EVENT_TYPE.validateMoveInput: {
+                // Promotions are always to a queen
+                const move = this.chess.moves({ square: event.squareFrom, verbose: true })
+                    .find(candidate => candidate.to === event.squareTo && (!candidate.promotion || candidate.promotion === 'q'));
+                if (!move || !(this.#isLine() ? this.#followsLine(move) : this.#keepsMate(move))) {
+                    return false;
+                }
+                this.#play(move);
+                if (this.#isLine() ? !this.#line : this.chess.in_checkmate()) {
+                    this.#solved();
+                } else {
+                    this.#movesLeft--;
+                    this.board.disableMoveInput();
+                    this.#setStatus(`✅ ${move.san}, good move!${this.#describeMovesLeft()}`);
+                    this.#timer = setTimeout(() => this.#playDefence(), DEFENCE_DELAY);
+                }
+                return true;
+            }
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Checks a move of the student with the mate search and explains a rejection.
+     * @param {object} move - Legal move in chess.js verbose format.
+     * @returns {boolean} Whether the move keeps a forced mate
+     * @private
+     */
+    #keepsMate(move) {
+        try {
+            if (this.#search.keepsMate(this.chess.fen(), move, this.#movesLeft)) {
+                return true;
+            }
+            this.#setStatus(`❌ ${move.san} does not force mate in ${this.#movesLeft}. Try another move.`);
+        } catch (error) {
+            console.warn("Mate search failed:", error.message);
+            this.#setStatus(`⚠️ ${move.san} could not be checked in time. Try another move.`);
+        }
+        console.log(`Mate puzzle: ${move.san} rejected`);
+        return false;
+    }
+
+    /**
+     * Checks a move of the student against the tactic line.
+     * @param {object} move - Legal move in chess.js verbose format.
+     * @returns {boolean} Whether the move is the next move of the line
+     * @private
+     */
+    #followsLine(move) {
+        if (this.#line && this.#line.san === move.san) {
+            return true;
+        }
+        this.#setStatus(`❌ ${move.san} is not the move of this line. Try another move.`);
+        console.log(`Tactic line: ${move.san} rejected`);
+        return false;
+    }
+
+    /**
+     * Answers with the defence that holds out the longest, following the solution when it is as good.
+     * In a tactic line the defender plays the move of the line.
+     * @private
+     */
+    #playDefence() {
+        this.#timer = null;
+        if (this.#isLine()) {
+            const move = this.#line.move;
+            this.#play(move);
+            if (!this.#line) {
+                this.#solved();
+                return;
+            }
+            this.#setStatus(`${this.#sideName(move.color)} played ${move.san}.`);
+            this.#enableInput();
+            return;
+        }
+        let defence = null;
+        try {
+            defence = this.#search.getBestDefence(this.chess.fen(), this.#movesLeft, this.#line?.san ?? null);
+        } catch (error) {
+            console.warn("Mate search failed, the defender plays the first legal move:", error.message);
+            defence = { move: this.chess.moves({ verbose: true })[0] };
+        }
+        this.#play(defence.move);
+        this.#setStatus(`${this.#sideName(defence.move.color)} played ${defence.move.san}.${this.#describeMovesLeft()}`);
+        this.#enableInput();
+    }
+
+    /**
+     * Plays a move on both boards, records it and follows the solution line while the moves match it.
+     * @param {object} move - Legal move in chess.js verbose format.
+     * @private
+     */
+    #play(move) {
+        const played = this.chess.move(move);
+        this.#line = this.#line && this.#line.san === played.san ? this.#line.children[0] || null : null;
+        this.movesTableController.addMove(played.san, played.color === 'b' ? 'black' : 'white');
+        // Let the visual board finish the move of the student, then sync captures and promotions
+        setTimeout(() => {
+            this.board.setPosition(this.chess.fen(), true);
+        }, 50);
+    }
+
+    /**
+     * Ends the puzzle once the student has given mate or played the whole tactic line.
+     * @private
+     */
+    #solved() {
+        const puzzle = this.getPuzzle();
+        const headline = this.#isLine() ? "Well done!" : "Checkmate!";
+        this.board.disableMoveInput();
+        this.#setStatus(`🏁 ${headline} "${puzzle.name}" solved.`);
+        console.log(`Puzzle ${puzzle.name} solved`);
+        // Use a small timeout to allow the move animation to finish
+        setTimeout(() => {
+            alert(`🏁 ${headline} You solved "${puzzle.name}", a ${this.#describeGoal(puzzle)}.`);
+        }, 300);
+    }
+
+    /**
+     * Whether the current puzzle is a tactic line instead of a mate puzzle.
+     * @returns {boolean}
+     * @private
+     */
+    #isLine() {
+        return this.getPuzzle()?.type === PUZZLE_TYPE.line;
+    }
+
+    /**
+     * Names the goal of a puzzle, e.g. "mate in 2" or "tactic in 3 moves".
+     * @param {object} puzzle - Puzzle from MatePuzzleLoader.
+     * @returns {string}
+     * @private
+     */
+    #describeGoal(puzzle) {
+        if (puzzle.type !== PUZZLE_TYPE.line) {
+            return `mate in ${puzzle.mateIn}`;
+        }
+        const moves = Math.ceil(puzzle.solution.length / 2);
+        return `tactic in ${moves} move${moves === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Tells how many moves of the mate are left, tactic lines do not count them.
+     * @returns {string} Sentence starting with a space, or an empty string
+     * @private
+     */
+    #describeMovesLeft() {
+        return this.#isLine() ? "" : ` Mate in ${this.#movesLeft} to go.`;
+    }
+
+    /**
+     * Lets the student move the pieces of the mating side.
+     * @private
+     */
+    #enableInput() {
+        this.board.enableMoveInput(this.handleInput.bind(this), this.#attacker === 'w' ? COLOR.white : COLOR.black);
+    }
+
+    /**
+     * Stops a pending defence or solution move.
+     * @private
+     */
+    #stopTimer() {
+        if (this.#timer) {
+            clearTimeout(this.#timer);
+            this.#timer = null;
+        }
+    }
+
+    /**
+     * Shows the name, the number and the description of the puzzle.
+     * @private
+     */
+    #updatePuzzleDisplay() {
+        const puzzle = this.getPuzzle();
+        const goal = this.#describeGoal(puzzle);
+        const infoElement = document.getElementById('matePuzzleInfo');
+        if (infoElement) {
+            infoElement.innerHTML = `
+                <div class="challenge-info">
+                    <div class="optimal-moves">Puzzle ${this.#index + 1}/${this.#puzzles.length}: ${puzzle.name}</div>
+                    <div class="current-moves">${goal.charAt(0).toUpperCase()}${goal.slice(1)}</div>
+                </div>
+            `;
+        }
+        const descriptionElement = document.getElementById('matePuzzleDescription');
+        if (descriptionElement) {
+            descriptionElement.textContent = puzzle.description;
+        }
+    }
+
+    /**
+     * Shows a message about the last move.
+     * @param {string} message
+     * @private
+     */
+    #setStatus(message) {
+        const statusElement = document.getElementById('matePuzzleStatus');
+        if (statusElement) {
+            statusElement.textContent = message;
+        }
+    }
+
+    /**
+     * @param {string} color - 'w' or 'b'
+     * @returns {string}
+     * @private
+     */
+    #sideName(color) {
+        return color === 'w' ? "White" : "Black";
+    }
+}
@@ -0,0 +1,215 @@
+/**
+ * Loads mate puzzles and tactic lines from JSON. Every mate puzzle is checked with the mate
+ * search, so that puzzles with a wrong FEN, a wrong mate length or a broken solution are left out.
+ * A solution that does not end in mate and has no mateIn is a tactic line: the student has to
+ * find the moves of the line, which only have to be legal.
+ * The checks run in a Web Worker (mate-puzzle-worker.js), a whole set takes seconds.
+ * @module MatePuzzleLoader
+ */
+
+import { PgnParser } from "./PgnParser.js";
+import { MateSearch, MAX_MATE_IN } from "./MateSearch.js";
+
+/**
+ * Kinds of puzzles
+ */
+export const PUZZLE_TYPE = {
+    mate: "mate",
+    line: "line"
+};
+
+export class MatePuzzleLoader {
+    #parser = new PgnParser();
+    #search;
+
+    /**
+     * @param {MateSearch} search - Mate search used by check() and verify() (optional), load() checks in a worker with its own
+     */
+    constructor(search = new MateSearch()) {
+        this.#search = search;
+    }
+
+    /**
+     * Fetches a puzzle set and checks its puzzles
+     * @param {string} url - Puzzle set ({puzzles: [...]}) or lesson theme ({slides: [{examples: [...]}]})
+     * @returns {Promise<{title: string, puzzles: Array<object>, rejected: Array<{name: string, reason: string}>}>}
+     * @throws {Error} If the file cannot be fetched or holds no puzzles
+     */
+    async load(url) {
+        console.log(`📖 Loading mate puzzles from ${url}`);
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch puzzles: ${response.status} ${response.statusText}`);
+        }
+        const data = await response.json();
+        const entries = Array.isArray(data.puzzles) ?
+            data.puzzles :
+            (data.slides || []).flatMap(slide => slide.examples || []);
+        if (entries.length === 0) {
+            throw new Error(`No puzzles found in ${url}`);
+        }
+
+        const result = this.#collect(entries, await this.#checkInWorker(entries));
+        console.log(`✅ ${result.puzzles.length} of ${entries.length} puzzles accepted`);
+        return { title: data.metadata?.title || url, ...result };
+    }
+
+    /**
+     * Checks puzzle entries and turns the good ones into puzzles
+     * @param {Array<{name: string, description: string, pgn: string, mateIn: (number|undefined)}>} entries
+     *   Puzzles with the position in a FEN tag and the solution as the main line.
+     *   Without mateIn a solution ending in mate is taken as a mate in as many moves as it has,
+     *   any other solution as a tactic line.
+     * @returns {{puzzles: Array<object>, rejected: Array<{name: string, reason: string}>}}
+     */
+    verify(entries) {
+        return this.#collect(entries, this.check(entries));
+    }
+
+    /**
+     * Checks puzzle entries without building the puzzles, this is what the worker runs
+     * @param {Array<object>} entries - Puzzle entries, see verify()
+     * @returns {Array<string|null>} Why each entry cannot be used, null for a good one
+     */
+    check(entries) {
+        return entries.map((entry, index) => {
+            try {
+                const puzzle = this.#toPuzzle(entry, this.#getName(entry, index));
+                if (puzzle.type === PUZZLE_TYPE.mate) {
+                    this.#checkMate(puzzle);
+                }
+                return null;
+            } catch (error) {
+                return error.message;
+            }
+        });
+    }
+
+    /**
+     * Builds the puzzles of the entries that passed the checks
+     * @param {Array<object>} entries - Puzzle entries
+     * @param {Array<string|null>} reasons - Result of check() for each entry
+     * @returns {{puzzles: Array<object>, rejected: Array<{name: string, reason: string}>}}
+     * @private
+     */
+    #collect(entries, reasons) {
+        const puzzles = [];
+        const rejected = [];
+        entries.forEach((entry, index) => {
+            const name = this.#getName(entry, index);
+            if (reasons[index]) {
+                console.warn(`Puzzle "${name}" rejected: ${reasons[index]}`);
+                rejected.push({ name, reason: reasons[index] });
+            } else {
+                puzzles.push(this.#toPuzzle(entry, name));
+            }
+        });
+        return { puzzles, rejected };
+    }
+
+    /**
+     * Runs check() in a module worker, so the page stays responsive during the mate searches.
+     * Without workers, or if the worker fails, the entries are checked here.
+     * @param {Array<object>} entries - Puzzle entries
+     * @returns {Promise<Array<string|null>>} Result of check()
+     * @private
+     */
+    #checkInWorker(entries) {
+        if (typeof Worker === "undefined") {
+            return Promise.resolve(this.check(entries));
+        }
+        return new Promise((resolve) => {
+            const worker = new Worker(new URL("./mate-puzzle-worker.js", import.meta.url), { type: "module" });
+            worker.addEventListener("message", (event) => {
+                worker.terminate();
+                resolve(event.data);
+            });
+            worker.addEventListener("error", (event) => {
+                worker.terminate();
+                console.warn(`Puzzle worker failed (${event.message}), checking the puzzles on the page`);
+                resolve(this.check(entries));
+            });
+            worker.postMessage(entries);
+        });
+    }
+
+    /**
+     * Parses a puzzle entry and checks that its solution is a line of legal moves
+     * @param {object} entry - Puzzle entry
+     * @param {string} name - Name of the puzzle
+     * @returns {{type: string, name: string, description: string, fen: string, mateIn: (number|null), solution: Array<MoveNode>}}
+     *   A PUZZLE_TYPE, mateIn is null for tactic lines
+     * @throws {Error} Why the puzzle cannot be used
+     * @private
+     */
+    #toPuzzle(entry, name) {
+        if (!entry.pgn) {
+            throw new Error("no PGN");
+        }
+        const game = this.#parser.parse(entry.pgn);
+        if (game.errors.length > 0) {
+            throw new Error(game.errors.join(", "));
+        }
+        if (!game.tags.FEN) {
+            throw new Error("no FEN tag with the starting position");
+        }
+
+        const solution = [];
+        for (let node = game.root.children[0]; node; node = node.children[0]) {
+            solution.push(node);
+        }
+        if (solution.length === 0) {
+            throw new Error("no solution moves");
+        }
+
+        const puzzle = { name, description: entry.description || "", fen: game.root.fen, solution };
+        if (entry.mateIn === undefined && !solution[solution.length - 1].san.endsWith("#")) {
+            return { type: PUZZLE_TYPE.line, ...puzzle, mateIn: null };
+        }
+        return { type: PUZZLE_TYPE.mate, ...puzzle, mateIn: entry.mateIn ?? Math.ceil(solution.length / 2) };
+    }
+
+    /**
+     * Checks with the mate search that the solution of a mate puzzle forces mate in the given number of moves
+     * @param {object} puzzle - Mate puzzle from #toPuzzle
+     * @throws {Error} Why the puzzle cannot be used
+     * @private
+     */
+    #checkMate({ fen, mateIn, solution }) {
+        if (!Number.isInteger(mateIn) || mateIn < 1 || mateIn > MAX_MATE_IN) {
+            throw new Error(`mate in ${mateIn} is not supported, mates in 1 to ${MAX_MATE_IN} are`);
+        }
+        const shortest = this.#search.findMateLength(fen, mateIn);
+        if (shortest === null) {
+            throw new Error(`there is no forced mate in ${mateIn}`);
+        }
+        if (shortest < mateIn) {
+            throw new Error(`there is a shorter mate in ${shortest}`);
+        }
+
+        // Every move of the mating side has to keep the mate, the defender's moves only have to be legal
+        let movesLeft = mateIn;
+        solution.forEach((node, ply) => {
+            if (ply % 2 === 1) {
+                return;
+            }
+            if (!this.#search.keepsMate(node.parent.fen, node.move, movesLeft)) {
+                throw new Error(`${node.toString(false)} does not force mate`);
+            }
+            movesLeft--;
+        });
+        if (!solution[solution.length - 1].san.endsWith("#")) {
+            throw new Error("the solution does not end in checkmate");
+        }
+    }
+
+    /**
+     * @param {object} entry - Puzzle entry
+     * @param {number} index - Position of the entry in its set
+     * @returns {string} Name of the puzzle
+     * @private
+     */
+    #getName(entry, index) {
+        return entry.name || `Puzzle ${index + 1}`;
+    }
+}
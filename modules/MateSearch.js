@@ -0,0 +1,197 @@
+/**
+ * Forced mate search for short mates (mate in 1 to 3): finds whether the side to move
+ * can force mate within a number of moves, which of its moves keep the mate and the
+ * reply that resists the longest.
+ * @module MateSearch
+ */
+
+import { Chess } from "https://cdn.jsdelivr.net/npm/chess.mjs@1/src/chess.mjs/Chess.js";
+
+// Longest mate the search accepts, deeper searches are too slow for the browser
+export const MAX_MATE_IN = 3;
+
+// Milliseconds a search may take before it gives up
+const TIME_LIMIT = 3000;
+
+export class MateSearch {
+    #nodes = 0;
+    #deadline = 0;
+
+    /**
+     * Length of the shortest forced mate for the side to move
+     * @param {string} fen - Position
+     * @param {number} maxMoves - Longest mate to look for
+     * @returns {number|null} Number of moves of the mating side, null if there is no mate within maxMoves
+     * @throws {Error} If the search runs out of time
+     */
+    findMateLength(fen, maxMoves = MAX_MATE_IN) {
+        const chess = new Chess(fen);
+        this.#startSearch();
+        for (let moves = 1; moves <= Math.min(maxMoves, MAX_MATE_IN); moves++) {
+            if (this.#canMate(chess, moves)) {
+                return moves;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Moves of the side to move that keep a forced mate within the given number of moves
+     * @param {string} fen - Position
+     * @param {number} moves - Moves of the mating side left, this one included
+     * @returns {Array<object>} Moves in chess.js verbose format
+     * @throws {Error} If the search runs out of time
+     */
+    getMatingMoves(fen, moves) {
+        const chess = new Chess(fen);
+        this.#startSearch();
+        return chess.moves({ verbose: true }).filter(move => {
+            chess.move(move);
+            const mates = this.#isMateAfter(chess, moves - 1);
+            chess.undo();
+            return mates;
+        });
+    }
+
+    /**
+     * Checks whether a move keeps a forced mate within the given number of moves
+     * @param {string} fen - Position before the move
+     * @param {{from: string, to: string, promotion: (string|undefined)}} move - Move to check
+     * @param {number} moves - Moves of the mating side left, this one included
+     * @returns {boolean} False as well for illegal moves
+     * @throws {Error} If the search runs out of time
+     */
+    keepsMate(fen, move, moves) {
+        const chess = new Chess(fen);
+        this.#startSearch();
+        if (!chess.move(move)) {
+            return false;
+        }
+        return this.#isMateAfter(chess, moves - 1);
+    }
+
+    /**
+     * The defending move that delays the mate the longest.
+     * Among equally good defences the preferred move is played, so a solution line can be followed.
+     * @param {string} fen - Position with the defender to move
+     * @param {number} moves - Moves of the mating side left
+     * @param {string|null} preferredSan - Reply to play when it resists as long as the best one (optional)
+     * @returns {{move: object, mateIn: number}|null} Reply in chess.js verbose format and the moves
+     *   the mating side needs after it, or null if the defender has no legal move
+     * @throws {Error} If the search runs out of time
+     */
+    getBestDefence(fen, moves, preferredSan = null) {
+        const chess = new Chess(fen);
+        this.#startSearch();
+        let best = null;
+        for (const reply of chess.moves({ verbose: true })) {
+            chess.move(reply);
+            const mateIn = this.#shortestMate(chess, moves);
+            chess.undo();
+            const isBetter = !best || mateIn > best.mateIn ||
+                (mateIn === best.mateIn && reply.san === preferredSan);
+            if (isBetter) {
+                best = { move: reply, mateIn };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Shortest forced mate of the side to move, Infinity if there is none within the limit
+     * @param {Chess} chess - Position
+     * @param {number} maxMoves - Longest mate to look for
+     * @returns {number}
+     * @private
+     */
+    #shortestMate(chess, maxMoves) {
+        for (let moves = 1; moves <= maxMoves; moves++) {
+            if (this.#canMate(chess, moves)) {
+                return moves;
+            }
+        }
+        return Infinity;
+    }
+
+    /**
+     * Checks whether the side to move can force mate within the given number of moves
+     * @param {Chess} chess - Position, restored before returning
+     * @param {number} moves - Moves of the mating side
+     * @returns {boolean}
+     * @private
+     */
+    #canMate(chess, moves) {
+        this.#countNode();
+        // chess.js marks mating moves with "#" in their SAN, no need to play them
+        if (moves === 1) {
+            return chess.moves().some(san => san.endsWith("#"));
+        }
+        for (const move of this.#orderMoves(chess.moves({ verbose: true }))) {
+            chess.move(move);
+            const mates = this.#isMateAfter(chess, moves - 1);
+            chess.undo();
+            if (mates) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Checks whether the defender, to move, is mated or gets mated within the given number of moves
+     * whatever it plays
+     * @param {Chess} chess - Position with the defender to move, restored before returning
+     * @param {number} moves - Moves of the mating side left
+     * @returns {boolean}
+     * @private
+     */
+    #isMateAfter(chess, moves) {
+        this.#countNode();
+        if (chess.in_checkmate()) {
+            return true;
+        }
+        if (moves <= 0 || chess.in_draw()) {
+            return false;
+        }
+        for (const reply of chess.moves({ verbose: true })) {
+            chess.move(reply);
+            const mates = this.#canMate(chess, moves);
+            chess.undo();
+            if (!mates) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Tries checks first, then captures
+     * @param {Array<object>} moves - Verbose moves
+     * @returns {Array<object>} Sorted copy of the moves
+     * @private
+     */
+    #orderMoves(moves) {
+        const priority = (move) => (/[+#]$/.test(move.san) ? 2 : 0) + (move.captured ? 1 : 0);
+        return [...moves].sort((a, b) => priority(b) - priority(a));
+    }
+
+    /**
+     * Starts the node count and the time budget of a search
+     * @private
+     */
+    #startSearch() {
+        this.#nodes = 0;
+        this.#deadline = Date.now() + TIME_LIMIT;
+    }
+
+    /**
+     * Counts a searched position and stops searches that take too long
+     * @private
+     */
+    #countNode() {
+        this.#nodes++;
+        if ((this.#nodes & 63) === 0 && Date.now() > this.#deadline) {
+            throw new Error(`Mate search stopped after ${TIME_LIMIT} ms (${this.#nodes} positions)`);
+        }
+    }
+}
@@ -0,0 +1,189 @@
+/**
+ * Finds out why a move was rejected in the training games and describes it for the student
+ * @module MoveRejectionExplainer
+ */
+
+import { Chess } from "https://cdn.jsdelivr.net/npm/chess.mjs@1/src/chess.mjs/Chess.js";
+
+/**
+ * Reasons a move can be rejected
+ */
+export const REJECTION_REASON = {
+    offBoard: "offBoard",
+    ownPiece: "ownPiece",
+    wrongPattern: "wrongPattern",
+    blocked: "blocked",
+    attacked: "attacked",
+    illegal: "illegal"
+};
+
+const PIECE_NAMES = { p: "pawn", n: "knight", b: "bishop", r: "rook", q: "queen", k: "king" };
+
+const PATTERN_HINTS = {
+    k: "The king moves one square in any direction.",
+    n: "The knight jumps in an L shape: two squares one way and one square to the side.",
+    b: "The bishop moves diagonally.",
+    r: "The rook moves along ranks and files.",
+    q: "The queen moves along ranks, files and diagonals.",
+    p: "The pawn moves straight forward and takes diagonally."
+};
+
+export class MoveRejectionExplainer {
+    /**
+     * Explains why a move can not be played in a position
+     * @param {Chess} chess - Chess.js instance with the position before the move
+     * @param {string} from - Origin square
+     * @param {string|null} to - Target square, null when the piece was dropped off the board
+     * @returns {{reason: string, message: string, attackers: Array<{square: string, type: string}>}}
+     *   One of REJECTION_REASON, a sentence for the student and the pieces attacking the target square
+     */
+    explain(chess, from, to) {
+        const piece = chess.get(from);
+        const name = piece ? PIECE_NAMES[piece.type] : "piece";
+
+        if (!to || !/^[a-h][1-8]$/.test(to)) {
+            return this.#result(REJECTION_REASON.offBoard, `The ${name} must stay on the board.`);
+        }
+        if (!piece) {
+            return this.#result(REJECTION_REASON.illegal, `There is no piece on ${from}.`);
+        }
+
+        const target = chess.get(to);
+        if (target && target.color === piece.color) {
+            return this.#result(REJECTION_REASON.ownPiece,
+                `Your own ${PIECE_NAMES[target.type]} is already on ${to}.`);
+        }
+
+        if (!this.#matchesPattern(piece, from, to)) {
+            return this.#result(REJECTION_REASON.wrongPattern,
+                `The ${name} can not move from ${from} to ${to}. ${PATTERN_HINTS[piece.type]}`);
+        }
+
+        const blocker = this.#findBlocker(chess, from, to);
+        if (blocker) {
+            return this.#result(REJECTION_REASON.blocked,
+                `The ${name} can not jump over the ${PIECE_NAMES[chess.get(blocker).type]} on ${blocker}.`);
+        }
+
+        const attackers = this.getAttackers(chess, from, to);
+        if (attackers.length > 0) {
+            const list = attackers.map(attacker => `the ${PIECE_NAMES[attacker.type]} on ${attacker.square}`);
+            const verb = piece.type === "k" ? "attacked" : "defended";
+            return this.#result(REJECTION_REASON.attacked,
+                `${to} is ${verb} by ${this.#joinList(list)}.`, attackers);
+        }
+
+        return this.#result(REJECTION_REASON.illegal, `The ${name} can not go to ${to} here.`);
+    }
+
+    /**
+     * Lists the opponent pieces that would attack a square after a piece moved there.
+     * The piece is taken off its origin square first, so pieces behind it are seen too.
+     * @param {Chess} chess - Chess.js instance with the position before the move
+     * @param {string} from - Origin square of the moving piece
+     * @param {string} to - Target square
+     * @returns {Array<{square: string, type: string}>} Attacking pieces
+     */
+    getAttackers(chess, from, to) {
+        const piece = chess.get(from);
+        if (!piece) {
+            return [];
+        }
+        const opponent = piece.color === "w" ? "b" : "w";
+
+        // Put the piece on the target square and let the opponent look for captures there
+        const probe = new Chess();
+        const fields = chess.fen().split(" ");
+        probe.load(`${fields[0]} ${opponent} - - 0 1`);
+        probe.remove(from);
+        probe.remove(to);
+        probe.put(piece, to);
+
+        const attackers = new Map();
+        for (const move of probe.moves({ verbose: true })) {
+            if (move.to === to && move.captured) {
+                attackers.set(move.from, { square: move.from, type: move.piece });
+            }
+        }
+        return [...attackers.values()];
+    }
+
+    /**
+     * Checks whether the move follows the movement pattern of the piece on an empty board
+     * @param {{type: string, color: string}} piece - Moving piece
+     * @param {string} from - Origin square
+     * @param {string} to - Target square
+     * @returns {boolean}
+     * @private
+     */
+    #matchesPattern(piece, from, to) {
+        const df = Math.abs(from.charCodeAt(0) - to.charCodeAt(0));
+        const dr = parseInt(to[1], 10) - parseInt(from[1], 10);
+        const adr = Math.abs(dr);
+        switch (piece.type) {
+            case "k":
+                return Math.max(df, adr) === 1;
+            case "n":
+                return (df === 1 && adr === 2) || (df === 2 && adr === 1);
+            case "b":
+                return df === adr && df > 0;
+            case "r":
+                return (df === 0) !== (adr === 0);
+            case "q":
+                return (df === adr && df > 0) || ((df === 0) !== (adr === 0));
+            case "p": {
+                const forward = piece.color === "w" ? dr : -dr;
+                return (df <= 1 && forward === 1) || (df === 0 && forward === 2);
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Finds the first piece standing between the origin and the target square of a
+     * straight or diagonal move. Knight and king moves have no squares in between.
+     * @param {Chess} chess - Chess.js instance
+     * @param {string} from - Origin square
+     * @param {string} to - Target square
+     * @returns {string|null} Square of the blocking piece
+     * @private
+     */
+    #findBlocker(chess, from, to) {
+        const df = to.charCodeAt(0) - from.charCodeAt(0);
+        const dr = parseInt(to[1], 10) - parseInt(from[1], 10);
+        if (df !== 0 && dr !== 0 && Math.abs(df) !== Math.abs(dr)) {
+            return null;
+        }
+        const steps = Math.max(Math.abs(df), Math.abs(dr));
+        for (let step = 1; step < steps; step++) {
+            const square = String.fromCharCode(from.charCodeAt(0) + Math.sign(df) * step) +
+                (parseInt(from[1], 10) + Math.sign(dr) * step);
+            if (chess.get(square)) {
+                return square;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Joins names as "a", "a and b" or "a, b and c"
+     * @param {Array<string>} items - Names
+     * @returns {string}
+     * @private
+     */
+    #joinList(items) {
+        return items.length > 1 ? `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}` : items[0];
+    }
+
+    /**
+     * @param {string} reason - One of REJECTION_REASON
+     * @param {string} message - Sentence for the student
+     * @param {Array<{square: string, type: string}>} attackers - Attacking pieces
+     * @returns {{reason: string, message: string, attackers: Array<{square: string, type: string}>}}
+     * @private
+     */
+    #result(reason, message, attackers = []) {
+        return { reason, message, attackers };
+    }
+}
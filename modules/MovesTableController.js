@@ -6,10 +6,20 @@ export class MovesTableController {
     #tableBody;
     #moves;
     #currentMoveNumber;
+    #result;
+    #plyCount;
+    #onMoveSelected;
+    #tree;
+    #nodes;
 
     constructor() {
         this.#moves = [];
         this.#currentMoveNumber = 1;
+        this.#result = null;
+        this.#plyCount = 0;
+        this.#onMoveSelected = null;
+        this.#tree = null;
+        this.#nodes = [];
         this.#initializeElements();
     }
 
@@ -23,6 +33,13 @@ export class MovesTableController {
             console.error('Element movesTableBody not found');
         } else {
             console.log('[MovesTableController] Found table body:', this.#tableBody);
+            // Clicking a move of a rendered game tree jumps to the position after it
+            this.#tableBody.addEventListener('click', (event) => {
+                const element = event.target.closest('[data-node]');
+                if (element && this.#onMoveSelected) {
+                    this.#onMoveSelected(this.#nodes[parseInt(element.dataset.node, 10)]);
+                }
+            });
         }
     }
 
@@ -37,6 +54,7 @@ export class MovesTableController {
             return;
         }
         console.log(`[MovesTableController] Adding move: ${move}, color: ${color}`);
+        this.#plyCount++;
 
         // If it's a white move, create a new row
         if (color === 'white') {
@@ -66,7 +84,17 @@ export class MovesTableController {
                 }
                 console.log(`[MovesTableController] Updated black move in row: #move-${this.#currentMoveNumber}`);
             } else {
-                console.warn(`[MovesTableController] Could not find row for black move: #move-${this.#currentMoveNumber}`);
+                // Game started with black to move, e.g. from an imported FEN
+                const row = document.createElement('tr');
+                row.id = `move-${this.#currentMoveNumber}`;
+                row.innerHTML = `
+                    <td>${this.#currentMoveNumber}</td>
+                    <td class="white-move">...</td>
+                    <td class="black-move">${move}</td>
+                `;
+                this.#tableBody.appendChild(row);
+                this.#moves.push({ number: this.#currentMoveNumber, white: null, black: move });
+                console.log(`[MovesTableController] Appended black move row: #move-${this.#currentMoveNumber}`);
             }
             this.#currentMoveNumber++;
         }
@@ -88,9 +116,12 @@ export class MovesTableController {
 
         const lastMove = this.#moves[this.#moves.length - 1];
         console.log("Last move:", lastMove);
+        // A taken back move reopens the game
+        this.setResult(null);
+        this.#plyCount--;
         
-        // If the last move has a black move, remove only it
-        if (lastMove.black) {
+        // If the last move has both moves, remove only the black one
+        if (lastMove.black && lastMove.white) {
             const row = document.getElementById(`move-${lastMove.number}`);
             if (row) {
                 const blackCell = row.querySelector('.black-move');
@@ -100,16 +131,20 @@ export class MovesTableController {
                 }
             }
             lastMove.black = null;
+            this.#currentMoveNumber--;
         }
-        // If it only has a white move, remove the entire row
-        else if (lastMove.white) {
+        // Otherwise the row holds a single move, remove the entire row
+        else {
             const row = document.getElementById(`move-${lastMove.number}`);
             if (row) {
                 row.remove();
                 console.log("Removed entire row", lastMove.number);
             }
+            // A black move row had already moved the counter on to the next row
+            if (lastMove.black) {
+                this.#currentMoveNumber--;
+            }
             this.#moves.pop();
-            this.#currentMoveNumber--;
         }
 
         return true;
@@ -128,9 +163,194 @@ export class MovesTableController {
         }
         this.#moves = [];
         this.#currentMoveNumber = 1;
+        this.#plyCount = 0;
+        this.#tree = null;
+        this.#nodes = [];
+        this.setResult(null);
         console.log("Moves array reset, current move number:", this.#currentMoveNumber);
     }
 
+    /**
+     * Records the game result in the table footer
+     * @param {string|null} result - "1-0", "0-1", "1/2-1/2" or null to remove it
+     */
+    setResult(result) {
+        this.#result = result;
+        const table = this.#tableBody ? this.#tableBody.closest('table') : null;
+        if (!table) {
+            return;
+        }
+        const existingFooter = table.querySelector('tfoot');
+        if (existingFooter) {
+            existingFooter.remove();
+        }
+        if (result) {
+            const footer = table.createTFoot();
+            const row = footer.insertRow();
+            row.className = 'result-row';
+            const cell = row.insertCell();
+            cell.colSpan = 3;
+            cell.textContent = result === '1/2-1/2' ? '½-½' : result;
+            this.#scrollToLastMove();
+        }
+    }
+
+    /**
+     * Gets the recorded game result
+     * @returns {string|null} "1-0", "0-1", "1/2-1/2" or null while the game is running
+     */
+    getResult() {
+        return this.#result;
+    }
+
+    /**
+     * Replaces the table content with a list of moves, e.g. after importing a game
+     * @param {Array<{san: string, color: string}>} moves - Moves in chess.js verbose format ('w' or 'b' colors)
+     */
+    loadMoves(moves) {
+        this.clearMoves();
+        for (const move of moves) {
+            this.addMove(move.san, move.color === 'b' ? 'black' : 'white');
+        }
+    }
+
+    /**
+     * Replaces the table content with a game tree. The main line fills the rows,
+     * its side lines are shown in nested parentheses below the move they replace.
+     * @param {MoveNode} root - Root node of the tree (starting position)
+     * @param {MoveNode} currentNode - Node of the position being played, marked in the table (optional)
+     */
+    renderTree(root, currentNode = null) {
+        if (!this.#tableBody) {
+            console.error('[MovesTableController] renderTree: table body not found');
+            return;
+        }
+        this.#tableBody.innerHTML = '';
+        this.#tree = root;
+        this.#nodes = [];
+        this.#moves = [];
+        this.#plyCount = 0;
+
+        let row = null;
+        let parent = root;
+        while (parent.children.length > 0) {
+            const [node, ...sideLines] = parent.children;
+            const number = node.getMoveNumber();
+            const isWhite = node.move.color === 'w';
+            let entry = this.#moves[this.#moves.length - 1];
+            if (isWhite || !row) {
+                row = this.#createTreeRow(number, !entry || entry.number !== number);
+                if (!entry || entry.number !== number) {
+                    entry = { number, white: null, black: null };
+                    this.#moves.push(entry);
+                }
+            }
+            const cell = row.querySelector(isWhite ? '.white-move' : '.black-move');
+            cell.textContent = node.san;
+            this.#registerNode(cell, node, currentNode);
+            entry[isWhite ? 'white' : 'black'] = node.san;
+            this.#plyCount++;
+
+            if (sideLines.length > 0) {
+                const variationRow = document.createElement('tr');
+                variationRow.className = 'variation-row';
+                const variationCell = document.createElement('td');
+                variationCell.colSpan = 3;
+                sideLines.forEach(line => variationCell.appendChild(this.#createVariation(line, currentNode)));
+                variationRow.appendChild(variationCell);
+                this.#tableBody.appendChild(variationRow);
+                // The reply continues in a new row below the side lines
+                row = null;
+            }
+            parent = node;
+        }
+        this.#currentMoveNumber = parent.move ? parseInt(parent.fen.split(' ')[5], 10) || 1 : 1;
+
+        const current = this.#getNodeElement(currentNode);
+        if (current) {
+            current.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * Appends an empty table row for a move number of the main line
+     * @param {number} number - Move number
+     * @param {boolean} withId - Whether the row gets the `move-N` id (only the first row of a number)
+     * @returns {HTMLTableRowElement} The row
+     * @private
+     */
+    #createTreeRow(number, withId) {
+        const row = document.createElement('tr');
+        if (withId) {
+            row.id = `move-${number}`;
+        }
+        row.innerHTML = `
+            <td>${number}</td>
+            <td class="white-move">...</td>
+            <td class="black-move">-</td>
+        `;
+        this.#tableBody.appendChild(row);
+        return row;
+    }
+
+    /**
+     * Builds a side line with its own side lines nested inside it
+     * @param {MoveNode} first - First move of the side line
+     * @param {MoveNode} currentNode - Node of the position being played
+     * @returns {HTMLSpanElement} The side line element
+     * @private
+     */
+    #createVariation(first, currentNode) {
+        const variation = document.createElement('span');
+        variation.className = 'variation';
+        let node = first;
+        let showNumber = true;
+        while (node) {
+            const move = document.createElement('span');
+            move.className = 'variation-move';
+            move.textContent = showNumber || node.move.color === 'w' ? node.toString(false) : node.san;
+            this.#registerNode(move, node, currentNode);
+            variation.appendChild(move);
+            showNumber = false;
+
+            // Alternatives to a move follow it, the line then goes on with a move number
+            if (node.parent.children[0] === node && node.parent.children.length > 1) {
+                node.parent.children.slice(1)
+                    .forEach(line => variation.appendChild(this.#createVariation(line, currentNode)));
+                showNumber = true;
+            }
+            node = node.children[0];
+        }
+        return variation;
+    }
+
+    /**
+     * Makes a move element selectable and links it to its tree node
+     * @param {HTMLElement} element - Table cell or side line move
+     * @param {MoveNode} node - Node of the move
+     * @param {MoveNode} currentNode - Node of the position being played
+     * @private
+     */
+    #registerNode(element, node, currentNode) {
+        element.dataset.node = this.#nodes.length;
+        element.tabIndex = 0;
+        if (node === currentNode) {
+            element.classList.add('current-move');
+        }
+        this.#nodes.push(node);
+    }
+
+    /**
+     * Finds the table element of a tree node
+     * @param {MoveNode|null} node - Node of a rendered tree
+     * @returns {HTMLElement|null} The element or null
+     * @private
+     */
+    #getNodeElement(node) {
+        const index = node ? this.#nodes.indexOf(node) : -1;
+        return index === -1 ? null : this.#tableBody.querySelector(`[data-node="${index}"]`);
+    }
+
     /**
      * Auto scrolls to the last move
      * @private
@@ -164,6 +384,203 @@ export class MovesTableController {
         return [...this.#moves];
     }
 
+    /**
+     * Builds a PGN of the game with the Seven Tag Roster.
+     * When a FEN tag is given the SetUp tag is added and the move numbers follow the FEN.
+     * @param {object} tags - Tag values (Event, Site, Date, Round, White, Black, Result, FEN), missing ones get defaults
+     * @returns {string} PGN text
+     */
+    exportPgn(tags = {}) {
+        const result = tags.Result || this.#result || '*';
+        const roster = {
+            Event: tags.Event || 'Chess Assist game',
+            Site: tags.Site || 'Chess Assist',
+            Date: tags.Date || this.#formatPgnDate(new Date()),
+            Round: tags.Round || '-',
+            White: tags.White || '?',
+            Black: tags.Black || '?',
+            Result: result
+        };
+        const lines = Object.entries(roster).map(([name, value]) => this.#formatPgnTag(name, value));
+
+        let firstMoveNumber = 1;
+        if (tags.FEN) {
+            lines.push(this.#formatPgnTag('SetUp', '1'));
+            lines.push(this.#formatPgnTag('FEN', tags.FEN));
+            firstMoveNumber = parseInt(tags.FEN.split(' ')[5], 10) || 1;
+        }
+
+        // Move text: "1. e4 e5 2. Nf3", rows without a white move start with "1..."
+        const tokens = [];
+        if (this.#tree) {
+            // A rendered game tree is exported with its side lines
+            if (this.#tree.children.length > 0) {
+                tokens.push(...this.#getLineTokens(this.#tree.children[0]));
+            }
+            tokens.push(result);
+            return `${lines.join('\n')}\n\n${this.#wrapPgnText(tokens)}\n`;
+        }
+        for (const move of this.#moves) {
+            const number = move.number - 1 + firstMoveNumber;
+            if (move.white) {
+                tokens.push(`${number}.`, move.white);
+            } else if (move.black) {
+                tokens.push(`${number}...`);
+            }
+            if (move.black) {
+                tokens.push(move.black);
+            }
+        }
+        tokens.push(result);
+
+        return `${lines.join('\n')}\n\n${this.#wrapPgnText(tokens)}\n`;
+    }
+
+    /**
+     * Lists the PGN move text of a line of the game tree, side lines in parentheses
+     * @param {MoveNode} first - First move of the line
+     * @returns {string[]} Tokens such as "1. e4", "e5", "(1... c5", "Nf3)"
+     * @private
+     */
+    #getLineTokens(first) {
+        const tokens = [];
+        let node = first;
+        let showNumber = true;
+        while (node) {
+            tokens.push(showNumber || node.move.color === 'w' ? node.toString(false) : node.san);
+            showNumber = false;
+            if (node.parent.children[0] === node) {
+                for (const line of node.parent.children.slice(1)) {
+                    const lineTokens = this.#getLineTokens(line);
+                    lineTokens[0] = `(${lineTokens[0]}`;
+                    lineTokens[lineTokens.length - 1] += ')';
+                    tokens.push(...lineTokens);
+                    showNumber = true;
+                }
+            }
+            node = node.children[0];
+        }
+        return tokens;
+    }
+
+    /**
+     * Downloads the game as a .pgn file
+     * @param {object} tags - PGN tag values, see exportPgn
+     * @param {string} filename - File name (default: chess-assist-YYYY-MM-DD.pgn)
+     */
+    downloadPgn(tags = {}, filename = null) {
+        const pgn = this.exportPgn(tags);
+        const blob = new Blob([pgn], { type: 'application/x-chess-pgn' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename || `chess-assist-${new Date().toISOString().slice(0, 10)}.pgn`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        console.log('[MovesTableController] PGN downloaded:', link.download);
+    }
+
+    /**
+     * Copies the game as PGN to the clipboard
+     * @param {object} tags - PGN tag values, see exportPgn
+     * @returns {Promise<boolean>} Whether the copy succeeded
+     */
+    async copyPgnToClipboard(tags = {}) {
+        const pgn = this.exportPgn(tags);
+        try {
+            await navigator.clipboard.writeText(pgn);
+            console.log('[MovesTableController] PGN copied to clipboard');
+            return true;
+        } catch (error) {
+            console.error('[MovesTableController] Could not copy PGN:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Formats a PGN tag pair, escaping quotes and backslashes
+     * @param {string} name - Tag name
+     * @param {string} value - Tag value
+     * @returns {string} e.g. [Event "Club practice"]
+     * @private
+     */
+    #formatPgnTag(name, value) {
+        const escaped = String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+        return `[${name} "${escaped}"]`;
+    }
+
+    /**
+     * Formats a date as PGN date (YYYY.MM.DD)
+     * @param {Date} date - Date to format
+     * @returns {string} PGN date
+     * @private
+     */
+    #formatPgnDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}.${month}.${day}`;
+    }
+
+    /**
+     * Joins move text tokens into lines of at most 80 characters
+     * @param {string[]} tokens - Move numbers, moves and result
+     * @returns {string} Wrapped move text
+     * @private
+     */
+    #wrapPgnText(tokens) {
+        const lines = [];
+        let line = '';
+        for (const token of tokens) {
+            if (line && line.length + 1 + token.length > 80) {
+                lines.push(line);
+                line = token;
+            } else {
+                line = line ? `${line} ${token}` : token;
+            }
+        }
+        if (line) {
+            lines.push(line);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Registers a callback called when the user clicks a move of a rendered game tree
+     * @param {function(MoveNode): void} callback - Receives the tree node of the move
+     */
+    setOnMoveSelected(callback) {
+        this.#onMoveSelected = callback;
+    }
+
+    /**
+     * Marks the move whose position is shown on the board
+     * @param {MoveNode|null} node - Node of the move, null to clear the selection
+     */
+    selectNode(node) {
+        if (!this.#tableBody) {
+            return;
+        }
+        const previous = this.#tableBody.querySelector('.selected-move');
+        if (previous) {
+            previous.classList.remove('selected-move');
+        }
+        const element = this.#getNodeElement(node);
+        if (element) {
+            element.classList.add('selected-move');
+            element.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * Gets the number of half moves in the table
+     * @returns {number}
+     */
+    getPlyCount() {
+        return this.#plyCount;
+    }
+
     /**
      * Highlights a specific move in the table
      * @param {number} moveNumber - Move number to highlight
@@ -0,0 +1,306 @@
+/**
+ * Black player of the Pawn Race: tempo counting of the race to promotion, the square
+ * of the pawn, passed pawns and a short search that only takes pawns when the
+ * exchanges end in its favour
+ * @module PawnRaceEngine
+ */
+
+import { PawnRaceRules } from "./PawnRaceRules.js";
+
+const PAWN_VALUE = 100;
+
+// Promoting wins the race, scores are lowered by the distance from the root to prefer fast wins
+const WIN_SCORE = 10000;
+
+// Score of a race won by a runner nobody can stop, minus a little per tempo it still needs
+const RACE_SCORE = 800;
+
+// Bonuses by number of ranks a pawn has advanced from its starting rank
+const ADVANCE_BONUS = [0, 4, 10, 18, 30, 45, 0];
+const PASSED_BONUS = [0, 15, 25, 40, 65, 100, 0];
+
+// Root moves scoring within this margin of the best one may be picked
+const RANDOMNESS = 5;
+
+export class PawnRaceEngine {
+    #depth;
+    #quiescenceDepth;
+    #rules = new PawnRaceRules();
+
+    /**
+     * @param {number} depth - Search depth in plies (default: 3)
+     * @param {number} quiescenceDepth - Extra plies for captures and promotions (default: 4)
+     */
+    constructor(depth = 3, quiescenceDepth = 4) {
+        this.#depth = depth;
+        this.#quiescenceDepth = quiescenceDepth;
+    }
+
+    /**
+     * Searches the current position and returns the chosen move.
+     * The chess instance is restored to its original position before returning.
+     * @param {Chess} chess - Chess.js instance
+     * @returns {string|null} Move in SAN notation or null if there are no legal moves
+     */
+    findBestMove(chess) {
+        // Any promotion wins the race, the pawn always becomes a queen
+        const moves = this.#orderMoves(this.#rules.getMoves(chess)
+            .filter(move => !move.promotion || move.promotion === "q"));
+        if (moves.length === 0) {
+            return null;
+        }
+
+        const scoredMoves = [];
+        for (const move of moves) {
+            let score;
+            if (move.promotion) {
+                score = WIN_SCORE;
+            } else {
+                score = -this.#searchAfter(chess, move, () => this.#negamax(chess, this.#depth - 1, -Infinity, Infinity, 1));
+            }
+            scoredMoves.push({ move, score });
+        }
+
+        const bestScore = Math.max(...scoredMoves.map(entry => entry.score));
+        const candidates = scoredMoves.filter(entry => entry.score >= bestScore - RANDOMNESS);
+        const chosen = candidates[Math.floor(Math.random() * candidates.length)];
+        console.log(`PawnRaceEngine: ${chosen.move.san} (score ${chosen.score}, ${candidates.length} candidate(s))`);
+        return chosen.move.san;
+    }
+
+    /**
+     * Static evaluation of a pawn position
+     * @param {Chess} chess - Chess.js instance
+     * @returns {number} Score from the side to move's point of view
+     */
+    evaluate(chess) {
+        const pieces = this.#readBoard(chess);
+        const pawns = pieces.filter(piece => piece.type === "p");
+        const toMove = chess.turn();
+        let score = 0;
+        const runners = { w: Infinity, b: Infinity };
+
+        for (const pawn of pawns) {
+            const sign = pawn.color === "w" ? 1 : -1;
+            const advanced = pawn.color === "w" ? pawn.rank - 2 : 7 - pawn.rank;
+            const passed = this.#isPassed(pawn, pawns);
+            score += sign * (PAWN_VALUE + ADVANCE_BONUS[advanced] + (passed ? PASSED_BONUS[advanced] : 0));
+
+            // A pawn with a free path that no enemy pawn can catch is a runner
+            if (this.#isPathFree(pawn, pieces) && !pawns.some(other => this.isInSquare(pawn, other))) {
+                runners[pawn.color] = Math.min(runners[pawn.color], this.getStepsToPromote(pawn));
+            }
+        }
+
+        // Tempo count: the side to move promotes first when both runners need the same number of moves
+        const winner = this.getRaceWinner(runners.w, runners.b, toMove);
+        if (winner) {
+            score += (winner === "w" ? 1 : -1) * (RACE_SCORE - 10 * runners[winner]);
+        }
+        return toMove === "w" ? score : -score;
+    }
+
+    /**
+     * Decides a race between the fastest runners of both sides by counting tempi
+     * @param {number} whiteSteps - Moves the white runner needs, Infinity without runner
+     * @param {number} blackSteps - Moves the black runner needs, Infinity without runner
+     * @param {string} toMove - Side to move, 'w' or 'b'
+     * @returns {string|null} 'w' or 'b' for the side that promotes first, null without runner
+     */
+    getRaceWinner(whiteSteps, blackSteps, toMove) {
+        if (whiteSteps === Infinity && blackSteps === Infinity) {
+            return null;
+        }
+        if (toMove === "w") {
+            return whiteSteps <= blackSteps ? "w" : "b";
+        }
+        return blackSteps <= whiteSteps ? "b" : "w";
+    }
+
+    /**
+     * Moves a pawn needs to promote, the double step from its starting rank included
+     * @param {{color: string, rank: number}} pawn - Pawn
+     * @returns {number}
+     */
+    getStepsToPromote(pawn) {
+        if (pawn.color === "w") {
+            return 8 - pawn.rank - (pawn.rank === 2 ? 1 : 0);
+        }
+        return pawn.rank - 1 - (pawn.rank === 7 ? 1 : 0);
+    }
+
+    /**
+     * Square of the pawn rule. The race has no kings, so the catchers are the enemy pawns:
+     * a pawn on a neighbouring file in front of the runner is inside its square, because
+     * the two pawns walk towards each other and one of them gets to take the other.
+     * A double step does not get past it either, the catcher takes en passant.
+     * @param {{color: string, file: number, rank: number}} pawn - Pawn racing to promotion
+     * @param {{type: string, color: string, file: number, rank: number}} catcher - Any other piece
+     * @returns {boolean} Whether the catcher can still take the pawn on its way
+     */
+    isInSquare(pawn, catcher) {
+        return catcher.type === "p" &&
+            catcher.color !== pawn.color &&
+            Math.abs(catcher.file - pawn.file) === 1 &&
+            (pawn.color === "w" ? catcher.rank > pawn.rank : catcher.rank < pawn.rank);
+    }
+
+    /**
+     * Negamax search with alpha-beta pruning
+     * @param {Chess} chess - Chess.js instance
+     * @param {number} depth - Remaining depth in plies
+     * @param {number} alpha - Lower bound
+     * @param {number} beta - Upper bound
+     * @param {number} ply - Distance from the root
+     * @returns {number} Score from the side to move's point of view
+     * @private
+     */
+    #negamax(chess, depth, alpha, beta, ply) {
+        const moves = this.#rules.getMoves(chess);
+        if (moves.length === 0) {
+            return this.#scoreStuck(chess, ply);
+        }
+        if (moves.some(move => move.promotion)) {
+            return WIN_SCORE - ply;
+        }
+        if (depth <= 0) {
+            return this.#quiescence(chess, alpha, beta, this.#quiescenceDepth, moves);
+        }
+
+        let best = -Infinity;
+        for (const move of this.#orderMoves(moves)) {
+            const score = -this.#searchAfter(chess, move, () => this.#negamax(chess, depth - 1, -beta, -alpha, ply + 1));
+            best = Math.max(best, score);
+            alpha = Math.max(alpha, score);
+            if (alpha >= beta) {
+                break;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Quiescence search over captures, so that a pawn is only taken when the
+     * exchanges that follow end in the taker's favour
+     * @param {Chess} chess - Chess.js instance
+     * @param {number} alpha - Lower bound
+     * @param {number} beta - Upper bound
+     * @param {number} depth - Remaining quiescence depth
+     * @param {Array<object>} moves - Already generated verbose moves
+     * @returns {number} Score from the side to move's point of view
+     * @private
+     */
+    #quiescence(chess, alpha, beta, depth, moves) {
+        const standPat = this.evaluate(chess);
+        if (depth <= 0 || standPat >= beta) {
+            return standPat;
+        }
+        alpha = Math.max(alpha, standPat);
+
+        for (const move of moves.filter(candidate => candidate.captured)) {
+            const score = -this.#searchAfter(chess, move, () => {
+                const replies = this.#rules.getMoves(chess);
+                if (replies.length === 0) {
+                    return this.#scoreStuck(chess, 0);
+                }
+                if (replies.some(reply => reply.promotion)) {
+                    return WIN_SCORE;
+                }
+                return this.#quiescence(chess, -beta, -alpha, depth - 1, replies);
+            });
+            if (score >= beta) {
+                return score;
+            }
+            alpha = Math.max(alpha, score);
+        }
+        return alpha;
+    }
+
+    /**
+     * Plays a move, searches the position after it and restores the position.
+     * PawnRaceRules plays moves by loading the new position, so there is no undo.
+     * @param {Chess} chess - Chess.js instance
+     * @param {object} move - Move from PawnRaceRules.getMoves
+     * @param {function(): number} search - Search of the position after the move
+     * @returns {number} Result of the search
+     * @private
+     */
+    #searchAfter(chess, move, search) {
+        const fen = chess.fen();
+        this.#rules.play(chess, move);
+        const score = search();
+        chess.load(fen);
+        return score;
+    }
+
+    /**
+     * Scores a position where the side to move has no legal move, following the race rules
+     * @param {Chess} chess - Chess.js instance
+     * @param {number} ply - Distance from the root
+     * @returns {number} Score from the side to move's point of view
+     * @private
+     */
+    #scoreStuck(chess, ply) {
+        const result = this.#rules.getResult(chess);
+        if (!result || result.winner === null) {
+            return 0;
+        }
+        return result.winner === chess.turn() ? WIN_SCORE - ply : -WIN_SCORE + ply;
+    }
+
+    /**
+     * Checks whether no enemy pawn stands in front of the pawn on its own or a neighbouring file
+     * @param {{color: string, file: number, rank: number}} pawn - Pawn
+     * @param {Array<object>} pawns - All pawns on the board
+     * @returns {boolean}
+     * @private
+     */
+    #isPassed(pawn, pawns) {
+        return !pawns.some(other =>
+            other.color !== pawn.color &&
+            Math.abs(other.file - pawn.file) <= 1 &&
+            (pawn.color === "w" ? other.rank > pawn.rank : other.rank < pawn.rank));
+    }
+
+    /**
+     * Checks whether the squares in front of the pawn up to its promotion square are empty
+     * @param {{color: string, file: number, rank: number}} pawn - Pawn
+     * @param {Array<object>} pieces - All pieces on the board
+     * @returns {boolean}
+     * @private
+     */
+    #isPathFree(pawn, pieces) {
+        return !pieces.some(piece =>
+            piece.file === pawn.file &&
+            (pawn.color === "w" ? piece.rank > pawn.rank : piece.rank < pawn.rank));
+    }
+
+    /**
+     * Lists the pieces on the board with their file (0-7) and rank (1-8)
+     * @param {Chess} chess - Chess.js instance
+     * @returns {Array<{type: string, color: string, file: number, rank: number}>}
+     * @private
+     */
+    #readBoard(chess) {
+        const pieces = [];
+        chess.board().forEach((row, rowIndex) => {
+            row.forEach((piece, file) => {
+                if (piece) {
+                    pieces.push({ type: piece.type, color: piece.color, file, rank: 8 - rowIndex });
+                }
+            });
+        });
+        return pieces;
+    }
+
+    /**
+     * Searches promotions first, then captures
+     * @param {Array<object>} moves - Verbose moves
+     * @returns {Array<object>} Sorted copy of the moves
+     * @private
+     */
+    #orderMoves(moves) {
+        const priority = (move) => (move.promotion ? 2 : 0) + (move.captured ? 1 : 0);
+        return [...moves].sort((a, b) => priority(b) - priority(a));
+    }
+}
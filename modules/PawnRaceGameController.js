@@ -1,21 +1,26 @@
 import { INPUT_EVENT_TYPE, COLOR } from "../cm-chessboard-master/src/Chessboard.js";
+import { PROMOTION_DIALOG_RESULT_TYPE } from "../cm-chessboard-master/src/extensions/promotion-dialog/PromotionDialog.js";
 import { PawnRaceFenGenerator } from "./FenGenerator.js";
-import { BlackPlayerController } from "./BlackPlayerController.js";
+import { PawnRaceEngine } from "./PawnRaceEngine.js";
+import { PawnRaceRules } from "./PawnRaceRules.js";
+
+// Time in ms before black answers, so the player can follow the moves
+const BLACK_MOVE_DELAY = 800;
 
 export class PawnRaceGameController {
     #chess;
     #board;
     #movesTableController;
     #fenGenerator;
-    #blackPlayerController;
+    #engine = new PawnRaceEngine();
+    #blackMoveTimer = null;
+    #rules = new PawnRaceRules();
 
     constructor(chess, board, movesTableController) {
         this.#chess = chess;
         this.#board = board;
         this.#movesTableController = movesTableController;
         this.#fenGenerator = new PawnRaceFenGenerator();
-        this.#blackPlayerController = new BlackPlayerController(this.#chess, this.#board);
-        this.#blackPlayerController.setOnMoveMade(this.onBlackMoved.bind(this));
     }
 
     startGame() {
@@ -28,6 +33,9 @@ export class PawnRaceGameController {
         if (oldMessage && oldMessage.parentElement) {
             oldMessage.parentElement.removeChild(oldMessage);
         }
+        // A black move of the previous race must not land in the new one
+        clearTimeout(this.#blackMoveTimer);
+        this.#blackMoveTimer = null;
         // Always disable move input before enabling to avoid error
         if (this.#board && this.#board.disableMoveInput) {
             this.#board.disableMoveInput();
@@ -48,110 +56,108 @@ export class PawnRaceGameController {
             return true; // Allow moving any piece
         }
         if (event.type === INPUT_EVENT_TYPE.validateMoveInput) {
-            const fromRank = event.squareFrom[1];
-            const toRank = event.squareTo[1];
-            const piece = this.#chess.get(event.squareFrom)?.type;
-            // If a white pawn is moving to the last rank, allow promotion, then end the game
-            if (piece === 'p' && fromRank === '7' && toRank === '8') {
-                const move = this.#chess.move({ from: event.squareFrom, to: event.squareTo, promotion: 'q' });
-                if (move && move.flags.includes('p')) {
-                    this.#board.setPosition(this.#chess.fen());
-        if (move && move.san) {
-            this.#movesTableController.addMove(move.san, 'white');
-        }
-                    this.#showWinMessage('White');
-                    this.#board.disableMoveInput();
-                    return false;
-                }
-            }
-            // If a black pawn is moving to the first rank, allow promotion, then end the game
-            if (piece === 'p' && fromRank === '2' && toRank === '1') {
-                const move = this.#chess.move({ from: event.squareFrom, to: event.squareTo, promotion: 'q' });
-                if (move && move.flags.includes('p')) {
-                    this.#board.setPosition(this.#chess.fen());
-        if (move && move.san) {
-            this.#movesTableController.addMove(move.san, 'black');
-        }
-                    this.#showWinMessage('Black');
+            // The moves come from the race rules, chess.js drops legal moves in positions without kings
+            const isPromotion = this.#rules.getMoves(this.#chess)
+                .some(move => move.from === event.squareFrom && move.to === event.squareTo && move.promotion);
+            // A pawn reaching the last rank wins the race, let the player pick the promotion piece first
+            if (isPromotion) {
+                if (event.chessboard.showPromotionDialog) {
                     this.#board.disableMoveInput();
-                    return false;
+                    event.chessboard.showPromotionDialog(event.squareTo, this.#chess.turn(), (result) => {
+                        if (result && result.type === PROMOTION_DIALOG_RESULT_TYPE.pieceSelected) {
+                            this.#promote(event.squareFrom, event.squareTo, result.piece.charAt(1));
+                        } else {
+                            // Canceled, put the pawn back and let the player try again
+                            this.#board.setPosition(this.#chess.fen());
+                            this.#board.disableMoveInput();
+                            this.#board.enableMoveInput(this.handleInput.bind(this), COLOR.white);
+                        }
+                    });
+                    return true;
                 }
+                this.#promote(event.squareFrom, event.squareTo, 'q');
+                return false;
             }
-            // Now try the move as normal
-            const move = this.#chess.move({ from: event.squareFrom, to: event.squareTo });
+            // Now try the move as normal (the rules also handle en passant)
+            const move = this.#rules.play(this.#chess, { from: event.squareFrom, to: event.squareTo });
             if (move) {
+                // Redraw so that a pawn taken en passant disappears too
                 this.#board.setPosition(this.#chess.fen());
-                if (move && move.san) {
-                    this.#movesTableController.addMove(move.san, move.color === 'b' ? 'black' : 'white');
-                }
-                // End the game if a pawn reaches the last rank without promotion (shouldn't happen, but for safety)
-                if (move.piece === 'p' && ((move.color === 'w' && move.to[1] === '8') || (move.color === 'b' && move.to[1] === '1'))) {
-                    this.#showWinMessage(move.color === 'w' ? 'White' : 'Black');
-                    this.#board.disableMoveInput();
-                    return false;
-                }
-                if (this.#chess.turn() === 'b') {
-                    this.#blackPlayerController.makeMove();
+                this.#movesTableController.addMove(move.san, move.color === 'b' ? 'black' : 'white');
+                if (!this.#checkResult(move) && this.#chess.turn() === 'b') {
+                    this.#playBlackMove();
                 }
             }
             return !!move;
         }
     }
 
+    /**
+     * Plays a promotion move, records it and ends the race
+     * @param {string} from - Origin square
+     * @param {string} to - Promotion square
+     * @param {string} promotion - Promotion piece: 'q', 'r', 'b' or 'n'
+     * @private
+     */
+    #promote(from, to, promotion) {
+        const move = this.#rules.play(this.#chess, { from, to, promotion });
+        if (!move) {
+            return;
+        }
+        this.#board.setPosition(this.#chess.fen());
+        this.#movesTableController.addMove(move.san, move.color === 'b' ? 'black' : 'white');
+        this.#checkResult(move);
+    }
+
+    /**
+     * Lets black race its passed pawns and stop white's instead of moving at random,
+     * after a short delay so the player can follow the moves
+     * @private
+     */
+    #playBlackMove() {
+        this.#blackMoveTimer = setTimeout(() => {
+            this.#blackMoveTimer = null;
+            const san = this.#engine.findBestMove(this.#chess);
+            const move = san ? this.#rules.play(this.#chess, san) : null;
+            if (move) {
+                this.onBlackMoved(move);
+            }
+        }, BLACK_MOVE_DELAY);
+    }
+
     onBlackMoved(move) {
         if (move && move.san) {
             this.#movesTableController.addMove(move.san, 'black');
         }
-        // Debug: log move details for black
-        if (move.piece === 'p' && move.color === 'b') {
-            console.log('[DEBUG] Black pawn move:', move);
-        }
-        // End the game if black just promoted or reached the first rank
-        if (
-            (move.piece === 'p' && move.color === 'b' && move.flags.includes('p')) ||
-            (move.piece === 'p' && move.color === 'b' && move.to[1] === '1')
-        ) {
-            console.log('[DEBUG] Black promotion detected, ending game. Move:', move);
-            this.#showWinMessage('Black');
-            this.#board.disableMoveInput();
-            return;
-        }
         this.#board.setPosition(this.#chess.fen());
+        this.#checkResult(move);
     }
 
-    #checkWinCondition(move, isPromotion = false) {
-        // End the game if a pawn reaches the last rank (promotion) or is promoted
-        if (
-            (move.piece === 'p' && ((move.color === 'w' && move.to[1] === '8') || (move.color === 'b' && move.to[1] === '1'))) ||
-            isPromotion
-        ) {
-            this.#board.disableMoveInput();
-            setTimeout(() => {
-                const winner = move.color === 'w' ? 'White' : 'Black';
-                const colorClass = move.color === 'w' ? 'white-message' : 'black-message';
-                let messageDiv = document.getElementById('pawnRaceWinMessage');
-                if (!messageDiv) {
-                    messageDiv = document.createElement('div');
-                    messageDiv.id = 'pawnRaceWinMessage';
-                    messageDiv.style.marginTop = '1em';
-                    messageDiv.style.fontWeight = 'bold';
-                    messageDiv.style.fontSize = '1.2em';
-                    // Only append if board/view/element exist, otherwise append to body
-                    if (this.#board && this.#board.view && this.#board.view.element && this.#board.view.element.parentElement) {
-                        this.#board.view.element.parentElement.appendChild(messageDiv);
-                    } else {
-                        document.body.appendChild(messageDiv);
-                    }
-                }
-                messageDiv.className = colorClass;
-                messageDiv.textContent = `${winner} wins the pawn race by promotion!`;
-            }, 300);
+    /**
+     * Ends the race when the rules decide it: promotion, a side without moves or a blocked position
+     * @param {object} move - Last move in chess.js verbose format
+     * @returns {boolean} Whether the race is over
+     * @private
+     */
+    #checkResult(move) {
+        const result = this.#rules.getResult(this.#chess, move);
+        if (!result) {
+            return false;
         }
+        console.log('Pawn race over:', result.reason, result.winner);
+        this.#board.disableMoveInput();
+        this.#showResult(result);
+        return true;
     }
 
-    #showWinMessage(winner) {
+    /**
+     * Shows the result of the race below the board
+     * @param {{winner: (string|null), message: string}} result - Result from PawnRaceRules
+     * @private
+     */
+    #showResult(result) {
         setTimeout(() => {
-            const colorClass = winner === 'White' ? 'white-message' : 'black-message';
+            const colorClass = result.winner === 'w' ? 'white-message' : result.winner === 'b' ? 'black-message' : 'draw-message';
             let messageDiv = document.getElementById('pawnRaceWinMessage');
             if (!messageDiv) {
                 messageDiv = document.createElement('div');
@@ -166,7 +172,7 @@ export class PawnRaceGameController {
                 }
             }
             messageDiv.className = colorClass;
-            messageDiv.textContent = `${winner} wins the pawn race by promotion!`;
+            messageDiv.textContent = result.message;
         }, 300);
     }
 }
@@ -0,0 +1,223 @@
+/**
+ * Rules of the Pawn Race, for positions with pawns only.
+ * Chess.js looks for kings when it checks legality, without them it takes pawns for
+ * checking pieces and drops legal moves, so the pawn moves are generated and played here.
+ * The first pawn to promote wins, a side that can not move loses (zugzwang)
+ * and the game is drawn when neither side can move (blocked position).
+ * @module PawnRaceRules
+ */
+
+/**
+ * Ways the race can end
+ */
+export const PAWN_RACE_RESULT = {
+    promotion: "promotion",
+    noPawns: "noPawns",
+    zugzwang: "zugzwang",
+    blocked: "blocked"
+};
+
+const COLOR_NAMES = { w: "White", b: "Black" };
+
+const FILES = "abcdefgh";
+
+const PROMOTION_PIECES = ["q", "r", "b", "n"];
+
+export class PawnRaceRules {
+    /**
+     * Decides whether the race is over
+     * @param {Chess} chess - Chess.js instance with the current position
+     * @param {object} lastMove - Last move in chess.js verbose format (optional)
+     * @returns {{winner: (string|null), reason: string, message: string}|null}
+     *   Winner 'w', 'b' or null for a draw, one of PAWN_RACE_RESULT and a sentence for the player,
+     *   or null while the race goes on
+     */
+    getResult(chess, lastMove = null) {
+        if (lastMove && lastMove.piece === "p" && (lastMove.promotion || /[18]$/.test(lastMove.to))) {
+            return this.#result(lastMove.color, PAWN_RACE_RESULT.promotion);
+        }
+
+        const toMove = chess.turn();
+        const opponent = toMove === "w" ? "b" : "w";
+        if (this.getMoves(chess).length > 0) {
+            return null;
+        }
+        if (!this.#hasPawns(chess, toMove)) {
+            return this.#result(opponent, PAWN_RACE_RESULT.noPawns);
+        }
+        if (this.#canMove(chess, opponent)) {
+            return this.#result(opponent, PAWN_RACE_RESULT.zugzwang);
+        }
+        return this.#result(null, PAWN_RACE_RESULT.blocked);
+    }
+
+    /**
+     * Lists the pawn moves of a side: pushes, double steps, captures, en passant and promotions
+     * @param {Chess} chess - Chess.js instance with the current position
+     * @param {string} color - 'w' or 'b' (default: the side to move). En passant only counts for the side to move.
+     * @returns {Array<{color: string, from: string, to: string, piece: string, san: string,
+     *   flags: string, captured: (string|undefined), promotion: (string|undefined)}>}
+     *   Moves in the chess.js verbose format
+     */
+    getMoves(chess, color = chess.turn()) {
+        const fields = chess.fen().split(" ");
+        const enPassant = color === fields[1] ? fields[3] : "-";
+        const direction = color === "w" ? 1 : -1;
+        const startRank = color === "w" ? 2 : 7;
+        const lastRank = color === "w" ? 8 : 1;
+        const moves = [];
+
+        const add = (from, to, flags, captured) => {
+            const capture = captured ? `${from[0]}x` : "";
+            if (Number(to[1]) === lastRank) {
+                for (const promotion of PROMOTION_PIECES) {
+                    moves.push({ color, from, to, piece: "p", san: `${capture}${to}=${promotion.toUpperCase()}`,
+                        flags: `${flags}p`, captured, promotion });
+                }
+            } else {
+                moves.push({ color, from, to, piece: "p", san: `${capture}${to}`, flags, captured });
+            }
+        };
+
+        for (const { square } of this.#getPawns(chess, color)) {
+            const file = FILES.indexOf(square[0]);
+            const rank = Number(square[1]);
+            const ahead = this.#square(file, rank + direction);
+            if (ahead && !chess.get(ahead)) {
+                add(square, ahead, "n");
+                const doubleStep = this.#square(file, rank + 2 * direction);
+                if (rank === startRank && !chess.get(doubleStep)) {
+                    add(square, doubleStep, "b");
+                }
+            }
+            for (const side of [-1, 1]) {
+                const target = this.#square(file + side, rank + direction);
+                if (!target) {
+                    continue;
+                }
+                const piece = chess.get(target);
+                if (piece && piece.color !== color) {
+                    add(square, target, "c", piece.type);
+                } else if (target === enPassant) {
+                    add(square, target, "e", "p");
+                }
+            }
+        }
+        return moves;
+    }
+
+    /**
+     * Plays a pawn move if it is one of the side to move's moves.
+     * The position is loaded again, so the chess.js history does not hold the move.
+     * @param {Chess} chess - Chess.js instance with the current position
+     * @param {string|{from: string, to: string, promotion: (string|undefined)}} move - Move in SAN or with its squares,
+     *   a promotion without piece becomes a queen
+     * @returns {object|null} The move in chess.js verbose format, or null if it is not possible
+     */
+    play(chess, move) {
+        const played = this.getMoves(chess).find(candidate => typeof move === "string" ?
+            candidate.san === move :
+            candidate.from === move.from && candidate.to === move.to &&
+                (!candidate.promotion || candidate.promotion === (move.promotion || "q")));
+        if (!played) {
+            return null;
+        }
+
+        const [, turn, , , , fullMove] = chess.fen().split(" ");
+        const fromRank = Number(played.from[1]);
+        chess.remove(played.from);
+        if (played.flags === "e") {
+            chess.remove(played.to[0] + fromRank);
+        }
+        chess.put({ type: played.promotion || "p", color: played.color }, played.to);
+
+        const enPassant = played.flags === "b" ? played.from[0] + (fromRank + Number(played.to[1])) / 2 : "-";
+        const nextFullMove = turn === "b" ? Number(fullMove) + 1 : Number(fullMove);
+        // A pawn move resets the half-move clock
+        chess.load([chess.fen().split(" ")[0], turn === "w" ? "b" : "w", "-", enPassant, 0, nextFullMove].join(" "));
+        return played;
+    }
+
+    /**
+     * Describes a result for the player
+     * @param {string|null} winner - 'w', 'b' or null for a draw
+     * @param {string} reason - One of PAWN_RACE_RESULT
+     * @returns {string}
+     */
+    describe(winner, reason) {
+        const loser = winner === "w" ? "b" : "w";
+        switch (reason) {
+            case PAWN_RACE_RESULT.promotion:
+                return `${COLOR_NAMES[winner]} wins the pawn race by promotion!`;
+            case PAWN_RACE_RESULT.noPawns:
+                return `${COLOR_NAMES[winner]} wins: ${COLOR_NAMES[loser]} has no pawns left!`;
+            case PAWN_RACE_RESULT.zugzwang:
+                return `${COLOR_NAMES[winner]} wins: ${COLOR_NAMES[loser]} has no legal moves (zugzwang)!`;
+            default:
+                return "Draw: all pawns are blocked and neither side can move.";
+        }
+    }
+
+    /**
+     * Checks whether a side has any pawn on the board
+     * @param {Chess} chess - Chess.js instance
+     * @param {string} color - 'w' or 'b'
+     * @returns {boolean}
+     * @private
+     */
+    #hasPawns(chess, color) {
+        return this.#getPawns(chess, color).length > 0;
+    }
+
+    /**
+     * Checks whether a side would have a move if it were its turn.
+     * En passant is only possible right after the double step, so it is not counted.
+     * @param {Chess} chess - Chess.js instance
+     * @param {string} color - 'w' or 'b'
+     * @returns {boolean}
+     * @private
+     */
+    #canMove(chess, color) {
+        return this.getMoves(chess, color).length > 0;
+    }
+
+    /**
+     * Lists the pawns of a side with their squares
+     * @param {Chess} chess - Chess.js instance
+     * @param {string} color - 'w' or 'b'
+     * @returns {Array<{square: string}>}
+     * @private
+     */
+    #getPawns(chess, color) {
+        const pawns = [];
+        chess.board().forEach((row, rowIndex) => {
+            row.forEach((piece, file) => {
+                if (piece && piece.type === "p" && piece.color === color) {
+                    pawns.push({ square: FILES[file] + (8 - rowIndex) });
+                }
+            });
+        });
+        return pawns;
+    }
+
+    /**
+     * Name of a square, null when it is off the board
+     * @param {number} file - File index 0-7
+     * @param {number} rank - Rank 1-8
+     * @returns {string|null}
+     * @private
+     */
+    #square(file, rank) {
+        return file >= 0 && file < 8 && rank >= 1 && rank <= 8 ? FILES[file] + rank : null;
+    }
+
+    /**
+     * @param {string|null} winner - 'w', 'b' or null for a draw
+     * @param {string} reason - One of PAWN_RACE_RESULT
+     * @returns {{winner: (string|null), reason: string, message: string}}
+     * @private
+     */
+    #result(winner, reason) {
+        return { winner, reason, message: this.describe(winner, reason) };
+    }
+}
@@ -0,0 +1,328 @@
+/**
+ * PGN tokenizer and parser producing a move tree
+ * (tags, comments, NAGs, move suffixes, variations and result)
+ * @module PgnParser
+ */
+
+import { Chess } from "https://cdn.jsdelivr.net/npm/chess.mjs@1/src/chess.mjs/Chess.js";
+
+/**
+ * Token types produced by the tokenizer
+ */
+export const PGN_TOKEN = {
+    tag: "tag",
+    comment: "comment",
+    variationStart: "variationStart",
+    variationEnd: "variationEnd",
+    nag: "nag",
+    moveNumber: "moveNumber",
+    move: "move",
+    result: "result"
+};
+
+/**
+ * Display symbols of the common NAGs
+ */
+export const NAG_SYMBOLS = {
+    1: "!", 2: "?", 3: "!!", 4: "??", 5: "!?", 6: "?!",
+    10: "=", 13: "∞", 14: "⩲", 15: "⩱", 16: "±", 17: "∓", 18: "+-", 19: "-+"
+};
+
+// Move suffixes written directly after the SAN, translated to their NAG
+const SUFFIX_NAGS = { "!": 1, "?": 2, "!!": 3, "??": 4, "!?": 5, "?!": 6 };
+
+const RESULTS = ["1-0", "0-1", "1/2-1/2", "½-½", "*"];
+
+/**
+ * Node of the move tree. The root holds the starting position and has no move.
+ * `children[0]` continues the line, further children are side lines.
+ */
+export class MoveNode {
+    constructor({ parent = null, move = null, fen }) {
+        this.parent = parent;
+        this.move = move;
+        this.san = move ? move.san : null;
+        this.fen = fen;
+        this.nags = [];
+        // Comments written before the move (start of a side line) and after it
+        this.commentsBefore = [];
+        this.comments = [];
+        this.children = [];
+    }
+
+    /**
+     * Whether this node is a side line of its parent
+     * @returns {boolean}
+     */
+    isVariation() {
+        return this.parent !== null && this.parent.children[0] !== this;
+    }
+
+    /**
+     * Makes the line through this node the main line: the node and its ancestors
+     * move to the front of their parents' children
+     */
+    makeMainLine() {
+        for (let node = this; node.parent; node = node.parent) {
+            const siblings = node.parent.children;
+            siblings.splice(siblings.indexOf(node), 1);
+            siblings.unshift(node);
+        }
+    }
+
+    /**
+     * Full move number of the move, read from the position before it
+     * @returns {number}
+     */
+    getMoveNumber() {
+        return this.parent ? parseInt(this.parent.fen.split(" ")[5], 10) || 1 : 0;
+    }
+
+    /**
+     * Move in notation with its number, e.g. "3. Bc4" or "3... Bc5"
+     * @param {boolean} withNags - Append NAG symbols such as "!?"
+     * @returns {string}
+     */
+    toString(withNags = true) {
+        if (!this.move) {
+            return "";
+        }
+        const number = this.move.color === "w" ? `${this.getMoveNumber()}.` : `${this.getMoveNumber()}...`;
+        const symbols = withNags ? this.nags.map(nag => NAG_SYMBOLS[nag] || `$${nag}`).join("") : "";
+        return `${number} ${this.san}${symbols}`;
+    }
+}
+
+export class PgnParser {
+    /**
+     * Splits PGN text into tokens
+     * @param {string} pgn - PGN text
+     * @returns {Array<{type: string, value: string}>} Tokens
+     */
+    tokenize(pgn) {
+        const tokens = [];
+        let i = 0;
+        while (i < pgn.length) {
+            const char = pgn[i];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === "%" && (i === 0 || pgn[i - 1] === "\n")) {
+                // Escape line, ignored
+                i = this.#indexOfOrEnd(pgn, "\n", i);
+            } else if (char === "[") {
+                const end = this.#indexOfOrEnd(pgn, "]", i);
+                tokens.push({ type: PGN_TOKEN.tag, value: pgn.slice(i + 1, end) });
+                i = end + 1;
+            } else if (char === "{") {
+                const end = this.#indexOfOrEnd(pgn, "}", i);
+                tokens.push({ type: PGN_TOKEN.comment, value: pgn.slice(i + 1, end).replace(/\s+/g, " ").trim() });
+                i = end + 1;
+            } else if (char === ";") {
+                const end = this.#indexOfOrEnd(pgn, "\n", i);
+                tokens.push({ type: PGN_TOKEN.comment, value: pgn.slice(i + 1, end).trim() });
+                i = end + 1;
+            } else if (char === "(") {
+                tokens.push({ type: PGN_TOKEN.variationStart, value: char });
+                i++;
+            } else if (char === ")") {
+                tokens.push({ type: PGN_TOKEN.variationEnd, value: char });
+                i++;
+            } else if (char === "$") {
+                const match = pgn.slice(i).match(/^\$(\d+)/);
+                if (match) {
+                    tokens.push({ type: PGN_TOKEN.nag, value: match[1] });
+                    i += match[0].length;
+                } else {
+                    i++;
+                }
+            } else {
+                // Symbol: move number, SAN (with suffixes) or result
+                const match = pgn.slice(i).match(/^[^\s{}()[\];$]+/);
+                i += match[0].length;
+                this.#pushSymbol(tokens, match[0]);
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * Parses PGN text into tags and a move tree
+     * @param {string} pgn - PGN text
+     * @returns {{tags: object, root: MoveNode, result: (string|null), errors: string[]}}
+     *   Moves that are illegal in their position are skipped with their side lines and reported in errors
+     */
+    parse(pgn) {
+        const tokens = this.tokenize(pgn);
+        const tags = {};
+        const errors = [];
+        let result = null;
+
+        for (const token of tokens) {
+            if (token.type === PGN_TOKEN.tag) {
+                const match = token.value.match(/^\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*$/);
+                if (match) {
+                    tags[match[1]] = match[2].replace(/\\(["\\])/g, "$1");
+                }
+            }
+        }
+
+        const chess = new Chess();
+        if (tags.FEN && !chess.load(tags.FEN)) {
+            errors.push(`Invalid FEN: ${tags.FEN}`);
+            chess.reset();
+        }
+        const root = new MoveNode({ fen: chess.fen() });
+
+        // Each open variation remembers the node it branched from
+        let current = root;
+        const stack = [];
+        // Comments right after "(" belong to the first move of the side line
+        let pendingComments = null;
+        // Depth of an invalid move's side lines that are being skipped
+        let skipDepth = 0;
+
+        for (const token of tokens) {
+            if (skipDepth > 0) {
+                if (token.type === PGN_TOKEN.variationStart) {
+                    skipDepth++;
+                } else if (token.type === PGN_TOKEN.variationEnd) {
+                    skipDepth--;
+                    if (skipDepth === 0) {
+                        current = stack.pop();
+                    }
+                }
+                continue;
+            }
+
+            switch (token.type) {
+                case PGN_TOKEN.comment:
+                    if (pendingComments) {
+                        pendingComments.push(token.value);
+                    } else {
+                        current.comments.push(token.value);
+                    }
+                    break;
+
+                case PGN_TOKEN.nag:
+                    current.nags.push(parseInt(token.value, 10));
+                    break;
+
+                case PGN_TOKEN.variationStart:
+                    // A side line replaces the last move, so it starts from that move's parent
+                    stack.push(current);
+                    current = current.parent || current;
+                    pendingComments = [];
+                    break;
+
+                case PGN_TOKEN.variationEnd:
+                    if (stack.length > 0) {
+                        current = stack.pop();
+                    }
+                    pendingComments = null;
+                    break;
+
+                case PGN_TOKEN.move: {
+                    chess.load(current.fen);
+                    const move = chess.move(token.value, { sloppy: true });
+                    if (!move) {
+                        errors.push(`Illegal move ${token.value} after ${current.toString(false) || "start"}`);
+                        pendingComments = null;
+                        // Skip the rest of this line
+                        if (stack.length > 0) {
+                            skipDepth = 1;
+                        } else {
+                            return { tags, root, result: tags.Result || null, errors };
+                        }
+                        break;
+                    }
+                    const node = new MoveNode({ parent: current, move, fen: chess.fen() });
+                    if (pendingComments) {
+                        node.commentsBefore = pendingComments;
+                        pendingComments = null;
+                    }
+                    current.children.push(node);
+                    current = node;
+                    break;
+                }
+
+                case PGN_TOKEN.result:
+                    if (stack.length === 0) {
+                        result = token.value;
+                    }
+                    break;
+
+                default:
+                    // Tags and move numbers carry no move information
+                    break;
+            }
+        }
+
+        return { tags, root, result: result || tags.Result || null, errors };
+    }
+
+    /**
+     * Follows the first children from a node to the end of its line
+     * @param {MoveNode} node - Start node
+     * @returns {MoveNode[]} The nodes after the start node
+     */
+    static getMainLine(node) {
+        const line = [];
+        let current = node;
+        while (current.children.length > 0) {
+            current = current.children[0];
+            line.push(current);
+        }
+        return line;
+    }
+
+    /**
+     * Classifies a symbol token and splits off move suffixes
+     * @param {Array} tokens - Token list to append to
+     * @param {string} symbol - Text without spaces
+     * @private
+     */
+    #pushSymbol(tokens, symbol) {
+        if (RESULTS.includes(symbol)) {
+            tokens.push({ type: PGN_TOKEN.result, value: symbol });
+            return;
+        }
+
+        // Move numbers may be glued to the move: "1.e4", "12...Nf6"
+        const numberMatch = symbol.match(/^(\d+)(\.+)(.*)$/);
+        if (numberMatch) {
+            tokens.push({ type: PGN_TOKEN.moveNumber, value: numberMatch[1] });
+            if (numberMatch[3]) {
+                this.#pushSymbol(tokens, numberMatch[3]);
+            }
+            return;
+        }
+        if (/^\d+$/.test(symbol) || /^\.+$/.test(symbol)) {
+            tokens.push({ type: PGN_TOKEN.moveNumber, value: symbol });
+            return;
+        }
+
+        const suffixMatch = symbol.match(/^(.*?)([!?]{1,2})$/);
+        if (suffixMatch && suffixMatch[1]) {
+            tokens.push({ type: PGN_TOKEN.move, value: suffixMatch[1] });
+            if (SUFFIX_NAGS[suffixMatch[2]]) {
+                tokens.push({ type: PGN_TOKEN.nag, value: String(SUFFIX_NAGS[suffixMatch[2]]) });
+            }
+            return;
+        }
+        tokens.push({ type: PGN_TOKEN.move, value: symbol });
+    }
+
+    /**
+     * Finds a character from a position, or the end of the text
+     * @param {string} text - Text to search
+     * @param {string} search - Character to find
+     * @param {number} from - Start index
+     * @returns {number} Index of the character or text length
+     * @private
+     */
+    #indexOfOrEnd(text, search, from) {
+        const index = text.indexOf(search, from);
+        return index === -1 ? text.length : index;
+    }
+}
@@ -81,6 +81,15 @@ export class PlayerController {
         throw new Error("makeMove() must be implemented by subclass");
     }
 
+    /**
+     * Chooses a move without playing it, so the caller can check that the position
+     * has not changed meanwhile - must be implemented by subclass
+     * @returns {Promise<string|object|null>} Promise that resolves with the move (SAN or move object)
+     */
+    async chooseMove() {
+        throw new Error("chooseMove() must be implemented by subclass");
+    }
+
     /**
      * Executes a specific move
      * @param {string} move - Move in SAN notation
@@ -116,6 +116,7 @@ export class PresentationApp {
         console.log('⌨️  Atalhos de teclado disponíveis:');
         console.log('   ← / →           : Navegação entre slides');
         console.log('   Shift + ← / →   : Navegação entre lances (todos os tabuleiros)');
+        console.log('   Shift + ↓ / ↑   : Entrar / sair das variantes');
         console.log('   Home / End      : Primeiro / último lance (todos os tabuleiros)');
         console.log('   Esc             : Voltar ao primeiro slide');
     }
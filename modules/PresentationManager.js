@@ -4,10 +4,10 @@
  * @module PresentationManager
  */
 
-import { Chess } from "https://cdn.jsdelivr.net/npm/chess.mjs@1/src/chess.mjs/Chess.js";
 import { Chessboard } from "../cm-chessboard-master/src/Chessboard.js";
 import { ThemeManager } from "./ThemeManager.js";
 import { ThemeLoader } from "./ThemeLoader.js";
+import { PgnParser } from "./PgnParser.js";
 
 /**
  * Represents a slide with text and chess examples
@@ -51,85 +51,124 @@ export class ChessExample {
 }
 
 /**
- * Manages chess board state for move-by-move navigation
+ * Manages chess board state for move-by-move navigation.
+ * The game is a move tree, so the presenter can step into side lines.
  */
 export class GameState {
-    #positions;
-    #moves;
-    #currentMoveIndex;
-    #maxMoves;
+    #root;
+    #current;
+    #result;
+    #parser;
 
     constructor() {
-        this.#positions = [];
-        this.#moves = [];
-        this.#currentMoveIndex = 0;
-        this.#maxMoves = 0;
+        this.#parser = new PgnParser();
+        this.#root = null;
+        this.#current = null;
+        this.#result = null;
     }
 
     initialize(pgn) {
-        const game = new Chess();
-        
-        // Extrair FEN se presente
-        const fenMatch = pgn.match(/\[FEN "([^"]+)"\]/);
-        if (fenMatch) {
-            try {
-                game.load(fenMatch[1]);
-            } catch (e) {
-                console.warn('Invalid FEN, using default position:', e.message);
-            }
-            // Remover a parte do FEN do PGN
-            pgn = pgn.replace(/\[FEN "[^"]+"\]\s*/, '');
-        }
-        
-        const pgnMoves = this.#parsePgn(pgn);
-        
-        this.#positions = [game.fen()];
-        this.#moves = [];
-        
-        for (const move of pgnMoves) {
-            if (move) {
-                try {
-                    const moveObj = game.move(move);
-                    this.#moves.push(moveObj);
-                    this.#positions.push(game.fen());
-                } catch (e) {
-                    console.warn(`Invalid move ${move}:`, e.message);
-                }
-            }
+        const { root, result, errors } = this.#parser.parse(pgn || '');
+        errors.forEach(error => console.warn('PGN:', error));
+        this.#root = root;
+        this.#current = root;
+        this.#result = result;
+    }
+
+    getCurrentPosition() {
+        return this.#current.fen;
+    }
+
+    getCurrentMove() {
+        return this.#current.move;
+    }
+
+    /**
+     * Gets the current node of the move tree
+     * @returns {MoveNode}
+     */
+    getCurrentNode() {
+        return this.#current;
+    }
+
+    /**
+     * Comments of the current move (or the game comment at the start)
+     * @returns {string[]}
+     */
+    getComments() {
+        return [...this.#current.commentsBefore, ...this.#current.comments];
+    }
+
+    /**
+     * Side lines that replace the next move of the current line
+     * @returns {MoveNode[]}
+     */
+    getVariations() {
+        return this.#current.children.slice(1);
+    }
+
+    /**
+     * Steps into a side line of the next move
+     * @param {number} index - Index in getVariations()
+     * @returns {boolean} Whether the side line exists
+     */
+    enterVariation(index) {
+        const variation = this.getVariations()[index];
+        if (!variation) {
+            return false;
         }
-        
-        this.#maxMoves = this.#positions.length - 1;
-        this.#currentMoveIndex = 0;
+        this.#current = variation;
+        return true;
     }
 
-    #parsePgn(pgn) {
-        return pgn
-            .replace(/\d+\./g, '')
-            .trim()
-            .split(/\s+/)
-            .filter(move => move && move !== '');
+    /**
+     * Whether the current move belongs to a side line
+     * @returns {boolean}
+     */
+    isInVariation() {
+        for (let node = this.#current; node.parent; node = node.parent) {
+            if (node.isVariation()) {
+                return true;
+            }
+        }
+        return false;
     }
 
-    getCurrentPosition() {
-        return this.#positions[this.#currentMoveIndex];
+    /**
+     * Leaves the side line and goes back to the position where it branched off
+     * @returns {boolean} Whether the current move was in a side line
+     */
+    exitVariation() {
+        let node = this.#current;
+        while (node.parent && !node.isVariation()) {
+            node = node.parent;
+        }
+        if (!node.parent) {
+            return false;
+        }
+        this.#current = node.parent;
+        return true;
     }
 
-    getCurrentMove() {
-        if (this.#currentMoveIndex === 0) return null;
-        return this.#moves[this.#currentMoveIndex - 1];
+    /**
+     * Game result token when the end of the main line is reached
+     * @returns {string|null}
+     */
+    getResult() {
+        return !this.canGoNext() && !this.isInVariation() ? this.#result : null;
     }
 
     canGoNext() {
-        return this.#currentMoveIndex < this.#maxMoves;
+        return this.#current.children.length > 0;
     }
 
     canGoPrevious() {
-        return this.#currentMoveIndex > 0;
+        return this.#current.parent !== null;
     }
 
     next() {
         if (this.canGoNext()) {
-            this.#currentMoveIndex++;
+            this.#current = this.#current.children[0];
             return true;
         }
         return false;
@@ -137,26 +176,29 @@ export class GameState {
 
     previous() {
         if (this.canGoPrevious()) {
-            this.#currentMoveIndex--;
+            this.#current = this.#current.parent;
             return true;
         }
         return false;
     }
 
     goToStart() {
-        this.#currentMoveIndex = 0;
+        this.#current = this.#root;
     }
 
     goToEnd() {
-        this.#currentMoveIndex = this.#maxMoves;
+        // Follow the current line to its last move
+        while (this.next()) {
+            // keep stepping
+        }
     }
 
     getMoveNumber() {
-        return Math.ceil(this.#currentMoveIndex / 2);
+        return this.#current.getMoveNumber();
     }
 
     isWhiteMove() {
-        return this.#currentMoveIndex % 2 === 1;
+        return this.#current.move?.color === 'w';
     }
 }
 
@@ -168,6 +210,8 @@ export class BoardController {
     #gameState;
     #containerId;
     #moveDisplay;
+    #commentDisplay;
+    #variationsDisplay;
     #controls;
 
     constructor(containerId, pgn) {
@@ -204,6 +248,14 @@ export class BoardController {
         // Move display
         this.#moveDisplay = document.createElement('div');
         this.#moveDisplay.className = 'move-display';
+
+        // Comments of the current move
+        this.#commentDisplay = document.createElement('div');
+        this.#commentDisplay.className = 'move-comment';
+
+        // Side lines of the next move
+        this.#variationsDisplay = document.createElement('div');
+        this.#variationsDisplay.className = 'move-variations';
         
         // Control buttons
         this.#controls = document.createElement('div');
@@ -218,9 +270,11 @@ export class BoardController {
         // Instructions
         const instructions = document.createElement('div');
         instructions.className = 'board-instructions';
-        instructions.textContent = 'Use os botões ou Shift + ← / → para navegar pelos lances';
+        instructions.textContent = 'Use os botões ou Shift + ← / → para navegar pelos lances, Shift + ↓ / ↑ para entrar e sair das variantes';
 
         container.appendChild(this.#moveDisplay);
+        container.appendChild(this.#commentDisplay);
+        container.appendChild(this.#variationsDisplay);
         container.appendChild(this.#controls);
         container.appendChild(instructions);
 
@@ -259,16 +313,21 @@ export class BoardController {
         this.#board.setPosition(this.#gameState.getCurrentPosition());
 
         // Update move display
-        const currentMove = this.#gameState.getCurrentMove();
-        if (currentMove) {
-            const moveNumber = this.#gameState.getMoveNumber();
-            const isWhite = this.#gameState.isWhiteMove();
-            this.#moveDisplay.textContent = isWhite 
-                ? `${moveNumber}. ${currentMove.san}`
-                : `${moveNumber}... ${currentMove.san}`;
+        const currentNode = this.#gameState.getCurrentNode();
+        const result = this.#gameState.getResult();
+        if (currentNode.move) {
+            this.#moveDisplay.textContent = result ? `${currentNode.toString()} ${result}` : currentNode.toString();
         } else {
             this.#moveDisplay.textContent = 'Posição inicial';
         }
+        this.#moveDisplay.classList.toggle('in-variation', this.#gameState.isInVariation());
+
+        // Update comments
+        const comments = this.#gameState.getComments();
+        this.#commentDisplay.textContent = comments.join(' ');
+        this.#commentDisplay.hidden = comments.length === 0;
+
+        this.#updateVariations();
 
         // Update button states
         const firstBtn = this.#controls.querySelector('.first-move-btn');
@@ -282,6 +341,34 @@ export class BoardController {
         lastBtn.disabled = !this.#gameState.canGoNext();
     }
 
+    #updateVariations() {
+        this.#variationsDisplay.innerHTML = '';
+        const variations = this.#gameState.getVariations();
+
+        if (variations.length > 0) {
+            const label = document.createElement('span');
+            label.textContent = 'Variantes:';
+            this.#variationsDisplay.appendChild(label);
+            variations.forEach((variation, index) => {
+                const button = document.createElement('button');
+                button.className = 'variation-btn';
+                button.textContent = variation.toString();
+                button.addEventListener('click', () => this.enterVariation(index));
+                this.#variationsDisplay.appendChild(button);
+            });
+        }
+
+        if (this.#gameState.isInVariation()) {
+            const backButton = document.createElement('button');
+            backButton.className = 'variation-btn main-line-btn';
+            backButton.textContent = '↩️ Linha principal';
+            backButton.addEventListener('click', () => this.exitVariation());
+            this.#variationsDisplay.appendChild(backButton);
+        }
+
+        this.#variationsDisplay.hidden = this.#variationsDisplay.childElementCount === 0;
+    }
+
     // Public API for keyboard navigation
     goNext() {
         if (this.#gameState.next()) {
@@ -308,6 +395,22 @@ export class BoardController {
         this.#gameState.goToEnd();
         this.#updateDisplay();
     }
+
+    enterVariation(index = 0) {
+        if (this.#gameState.enterVariation(index)) {
+            this.#updateDisplay();
+            return true;
+        }
+        return false;
+    }
+
+    exitVariation() {
+        if (this.#gameState.exitVariation()) {
+            this.#updateDisplay();
+            return true;
+        }
+        return false;
+    }
 }
 
 /**
@@ -494,6 +597,20 @@ export class PresentationManager {
                     }
                     break;
 
+                case 'ArrowDown':
+                    if (event.shiftKey) {
+                        event.preventDefault();
+                        this.#navigateAllBoards('enterVariation');
+                    }
+                    break;
+
+                case 'ArrowUp':
+                    if (event.shiftKey) {
+                        event.preventDefault();
+                        this.#navigateAllBoards('exitVariation');
+                    }
+                    break;
+
                 case 'Home':
                     event.preventDefault();
                     this.#navigateAllBoards('start');
@@ -534,6 +651,12 @@ export class PresentationManager {
                 case 'end':
                     board.goToEnd();
                     break;
+                case 'enterVariation':
+                    board.enterVariation();
+                    break;
+                case 'exitVariation':
+                    board.exitVariation();
+                    break;
             }
         });
     }
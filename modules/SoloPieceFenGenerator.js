@@ -0,0 +1,218 @@
+import { Chess } from "https://cdn.jsdelivr.net/npm/chess.mjs@1/src/chess.mjs/Chess.js";
+import { FenGenerator } from "./FenGenerator.js";
+import { WIN_CONDITION, isPawnSquare, getPawnDefendedSquares } from "./SoloPiecePuzzles.js";
+
+// Random positions tried before falling back to an easier level
+const MAX_ATTEMPTS = 300;
+
+const SQUARES = [];
+for (const file of "abcdefgh") {
+    for (let rank = 1; rank <= 8; rank++) {
+        SQUARES.push(file + rank);
+    }
+}
+
+/**
+ * Generates and solves solo piece puzzles: one white piece, the obstacles of the
+ * puzzle and the targets of its win condition (black pawns to take or marked squares).
+ */
+export class SoloPieceFenGenerator extends FenGenerator {
+    /**
+     * Generates a random, solvable puzzle position.
+     * Positions that can not be solved, are solved in fewer moves than the level asks or, with
+     * the "no revisit" rule, whose shortest solution lands on a square twice are rejected.
+     * @param {object} puzzle - Puzzle definition from SOLO_PUZZLES
+     * @param {"easy"|"medium"|"hard"|"extreme"} level - Difficulty level
+     * @returns {{fen: string, start: string, targets: Array<string>, protectedPawns: Array<string>,
+     *   settings: object, optimalMoves: number, solutionPath: Array<string>}}
+     *   FEN string, square of the piece, target squares, protected pawns, settings of the level used,
+     *   length of the shortest solution and its squares
+     */
+    generateFen(puzzle, level = "easy") {
+        const settings = puzzle.levels[level] || puzzle.levels.easy;
+        for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+            const position = this.#placePieces(puzzle, settings);
+            if (puzzle.piece === 'k' && new Chess(position.fen).in_check()) {
+                continue;
+            }
+            const solution = this.solve(position.fen, position.start, puzzle.winCondition, position.targets, position.protectedPawns);
+            if (!solution || solution.moves < settings.minMoves) {
+                continue;
+            }
+            const landings = [position.start, ...solution.path];
+            if (settings.noRevisit && new Set(landings).size !== landings.length) {
+                continue;
+            }
+            console.log(`${puzzle.title} position found after ${attempt} attempt(s)`);
+            return { ...position, settings, optimalMoves: solution.moves, solutionPath: solution.path };
+        }
+        if (level === "easy") {
+            throw new Error(`No solvable ${puzzle.title} position found`);
+        }
+        console.warn(`No solvable "${level}" ${puzzle.title} position found, using an easy one`);
+        return this.generateFen(puzzle, "easy");
+    }
+
+    /**
+     * Finds the shortest solution with a breadth-first search over the square of the piece,
+     * the targets reached and the black pieces taken. Black pieces block the lines and guard
+     * squares until they are taken. The piece never lands on a square defended by a protected
+     * pawn still on the board.
+     * @param {string} fen - Starting position
+     * @param {string} start - Square of the white piece
+     * @param {string} winCondition - One of WIN_CONDITION
+     * @param {Array<string>} targets - Target squares
+     * @param {Array<string>} protectedPawns - Squares of the protected pawns (optional)
+     * @returns {{moves: number, path: Array<string>}|null} Shortest solution, or null if there is none
+     */
+    solve(fen, start, winCondition, targets, protectedPawns = []) {
+        const fullMask = (1 << targets.length) - 1;
+        const isSolved = (mask) => this.#isComplete(winCondition, mask, fullMask);
+        if (isSolved(0)) {
+            return { moves: 0, path: [] };
+        }
+
+        const chess = new Chess(fen);
+        const piece = chess.get(start);
+        const positions = new Map();
+        const startKey = `${start}:0:`;
+        const previous = new Map([[startKey, null]]);
+        const queue = [{ square: start, mask: 0, taken: [] }];
+        while (queue.length > 0) {
+            const { square, mask, taken } = queue.shift();
+            const takenKey = taken.join(",");
+            const key = `${square}:${mask}:${takenKey}`;
+            if (!positions.has(takenKey)) {
+                positions.set(takenKey, this.#positionWithout(fen, [start, ...taken]));
+            }
+            chess.load(positions.get(takenKey));
+            chess.put(piece, square);
+            const guarded = new Set(protectedPawns
+                .filter(pawn => !taken.includes(pawn))
+                .flatMap(pawn => getPawnDefendedSquares(pawn)));
+            for (const move of chess.moves({ square, verbose: true })) {
+                if (guarded.has(move.to)) {
+                    continue;
+                }
+                const index = targets.indexOf(move.to);
+                const nextMask = index === -1 ? mask : mask | (1 << index);
+                const nextTaken = move.captured ? [...taken, move.to].sort() : taken;
+                const nextKey = `${move.to}:${nextMask}:${nextTaken.join(",")}`;
+                if (previous.has(nextKey)) {
+                    continue;
+                }
+                previous.set(nextKey, key);
+                if (isSolved(nextMask)) {
+                    return this.#readPath(previous, nextKey);
+                }
+                queue.push({ square: move.to, mask: nextMask, taken: nextTaken });
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Checks whether the targets reached in a mask fulfil the win condition.
+     * @param {string} winCondition - One of WIN_CONDITION
+     * @param {number} mask - Bits of the targets reached
+     * @param {number} fullMask - Bits of all targets
+     * @returns {boolean}
+     * @private
+     */
+    #isComplete(winCondition, mask, fullMask) {
+        if (winCondition === WIN_CONDITION.captureAll || winCondition === WIN_CONDITION.visitAll) {
+            return mask === fullMask;
+        }
+        return mask !== 0;
+    }
+
+    /**
+     * Builds the position of the search states that have taken the same black pieces:
+     * the board without the moving piece and without the pieces taken.
+     * @param {string} fen - Starting position
+     * @param {Array<string>} squares - Squares to empty
+     * @returns {string} FEN string with white to move
+     * @private
+     */
+    #positionWithout(fen, squares) {
+        const chess = new Chess(fen);
+        squares.forEach(square => chess.remove(square));
+        return `${chess.fen().split(" ")[0]} w - - 0 1`;
+    }
+
+    /**
+     * Reads the squares of a solution back from the search tree.
+     * @param {Map<string, string|null>} previous - Parent key of each search state
+     * @param {string} key - Key of the final state
+     * @returns {{moves: number, path: Array<string>}}
+     * @private
+     */
+    #readPath(previous, key) {
+        const path = [];
+        let current = key;
+        while (previous.get(current) !== null) {
+            path.unshift(current.split(":")[0]);
+            current = previous.get(current);
+        }
+        return { moves: path.length, path };
+    }
+
+    /**
+     * Places the piece, the targets of its win condition, the protected pawns among them
+     * and the obstacles of the puzzle.
+     * @param {object} puzzle - Puzzle definition
+     * @param {object} settings - Level settings
+     * @returns {{fen: string, start: string, targets: Array<string>, protectedPawns: Array<string>}}
+     * @private
+     */
+    #placePieces(puzzle, settings) {
+        const boardArray = Array(8).fill(null).map(() => Array(8).fill(null));
+        const occupied = new Set();
+        const place = (square, piece) => {
+            occupied.add(square);
+            if (piece) {
+                boardArray[8 - parseInt(square[1], 10)][square.charCodeAt(0) - 'a'.charCodeAt(0)] = piece;
+            }
+        };
+        const pickSquare = (filter = () => true) => {
+            const free = SQUARES.filter(square => !occupied.has(square) && filter(square));
+            const square = free[Math.floor(Math.random() * free.length)];
+            occupied.add(square);
+            return square;
+        };
+
+        const targetRank = String(settings.targetRank || 8);
+        const start = pickSquare(square => puzzle.startSquares ?
+            puzzle.startSquares.includes(square) :
+            puzzle.winCondition !== WIN_CONDITION.reachRank || !square.endsWith(targetRank));
+        place(start, puzzle.piece.toUpperCase());
+
+        let targets;
+        let protectedPawns = [];
+        if (puzzle.winCondition === WIN_CONDITION.reachRank) {
+            targets = SQUARES.filter(square => square.endsWith(targetRank));
+            targets.forEach(square => occupied.add(square));
+        } else {
+            // Targets to capture are black pawns
+            const targetFilter = (square) =>
+                (puzzle.winCondition !== WIN_CONDITION.captureAll || isPawnSquare(square)) &&
+                (!puzzle.targetFilter || puzzle.targetFilter(square, start));
+            targets = [];
+            for (let i = 0; i < settings.targets; i++) {
+                targets.push(pickSquare(targetFilter));
+            }
+            if (puzzle.winCondition === WIN_CONDITION.captureAll) {
+                targets.forEach(square => place(square, 'p'));
+                protectedPawns = [...targets]
+                    .sort(() => Math.random() - 0.5)
+                    .slice(0, settings.protectedPawns || 0);
+            }
+        }
+
+        const obstacles = puzzle.obstacles ? puzzle.obstacles(settings, pickSquare) : [];
+        for (const obstacle of obstacles) {
+            place(obstacle.square, obstacle.piece);
+        }
+        return { fen: this.arrayToFen(boardArray, 'w', '-', '-', 0, 1), start, targets, protectedPawns };
+    }
+}
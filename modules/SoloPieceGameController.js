@@ -0,0 +1,696 @@
+/**
+ * Module for controlling the solo piece puzzles: one white piece moves on its own
+ * towards the goal of the puzzle. Black never answers, unless hunters mode lets some
+ * of the black pieces chase the piece.
+ * @module SoloPieceGameController
+ */
+
+import { Chess } from "https://cdn.jsdelivr.net/npm/chess.mjs@1/src/chess.mjs/Chess.js";
+import { INPUT_EVENT_TYPE, COLOR } from "../cm-chessboard-master/src/Chessboard.js";
+import { MOVE_CANCELED_REASON } from "../cm-chessboard-master/src/view/VisualMoveInput.js";
+import { MARKER_TYPE } from "../cm-chessboard-master/src/extensions/markers/Markers.js";
+import { BaseGameController } from "./BaseGameController.js";
+import { SoloPieceFenGenerator } from "./SoloPieceFenGenerator.js";
+import { WIN_CONDITION, getPawnDefendedSquares } from "./SoloPiecePuzzles.js";
+import { SolutionReplay } from "./SolutionReplay.js";
+import { MoveRejectionExplainer } from "./MoveRejectionExplainer.js";
+import { ChessClock } from "./ChessClock.js";
+
+const PIECE_NAMES = { p: "pawn", n: "knight", b: "bishop", r: "rook", q: "queen", k: "king" };
+
+// Time in ms before the hunters answer a move
+const HUNTER_DELAY = 500;
+
+/**
+ * Hint levels, each one shows more than the previous:
+ * nothing, the squares attacked by black, then also the allowed moves and the next step of a shortest solution
+ */
+export const HINT_LEVEL = {
+    off: "off",
+    danger: "danger",
+    path: "path"
+};
+
+// Marker types of the hints, styled in styles.css
+const HINT_MARKER = {
+    danger: { class: "marker-danger-square", slice: "markerSquare" },
+    safe: { class: "marker-safe-square", slice: "markerDot", position: "above" },
+    nextStep: { class: "marker-next-step", slice: "markerCircle" }
+};
+
+// Marker types of the level rules and the hunters, styled in styles.css
+const RULE_MARKER = {
+    protectedPawn: MARKER_TYPE.frameDanger,
+    defended: { class: "marker-danger-square", slice: "markerSquare" },
+    visited: MARKER_TYPE.square,
+    hunter: MARKER_TYPE.frameDanger
+};
+
+export class SoloPieceGameController extends BaseGameController {
+    #puzzle;
+    #fenGenerator;
+    #difficulty = "easy";
+    #settings = null;
+    #startFen = null;
+    #start = null;
+    #square = null;
+    #targets = [];
+    #reached = new Set();
+    #optimalMoves = 0;
+    #currentMoves = 0;
+    #solutionPath = [];
+    #solutionReplay;
+    #explainer = new MoveRejectionExplainer();
+    #protectedPawns = new Set();
+    #visited = new Set();
+    #clock = null;
+    #finished = false;
+    #huntersMode = false;
+    #hunters = new Set();
+    #hunterTimer = null;
+    #hintLevel = HINT_LEVEL.off;
+
+    /**
+     * @param {Chess} chess - The chess.js instance.
+     * @param {Chessboard} board - The visual board instance.
+     * @param {SoloPieceMovesTableController} movesTableController - The moves table controller.
+     * @param {object} puzzle - Puzzle definition from SOLO_PUZZLES: piece, win condition, obstacles and levels.
+     * @param {SoloPieceFenGenerator} fenGenerator - Generator that places and solves the puzzle (optional)
+     */
+    constructor(chess, board, movesTableController, puzzle, fenGenerator = new SoloPieceFenGenerator()) {
+        super(chess, board, movesTableController);
+        this.#puzzle = puzzle;
+        this.#fenGenerator = fenGenerator;
+        this.#solutionReplay = new SolutionReplay(board);
+    }
+
+    /**
+     * Sets the difficulty for the next puzzle.
+     * @param {"easy"|"medium"|"hard"|"extreme"} level
+     */
+    setDifficulty(level) {
+        this.#difficulty = level;
+    }
+
+    /**
+     * Gets the puzzle definition.
+     * @returns {object}
+     */
+    getPuzzle() {
+        return this.#puzzle;
+    }
+
+    /**
+     * Sets whether black pieces hunt the white piece for the next puzzle. In hunters mode
+     * as many black pieces as the level names answer every move, otherwise all black
+     * pieces stay in place.
+     * @param {boolean} enabled
+     */
+    setHuntersMode(enabled) {
+        this.#huntersMode = enabled;
+    }
+
+    /**
+     * Checks whether black pieces hunt the white piece.
+     * @returns {boolean}
+     */
+    isHuntersMode() {
+        return this.#huntersMode;
+    }
+
+    /**
+     * Sets how much help is drawn on the board and redraws the hints.
+     * @param {string} level - One of HINT_LEVEL
+     */
+    setHintLevel(level) {
+        this.#hintLevel = level;
+        this.#showHints();
+    }
+
+    /**
+     * Gets the current hint level.
+     * @returns {string} One of HINT_LEVEL
+     */
+    getHintLevel() {
+        return this.#hintLevel;
+    }
+
+    /**
+     * Sets up a new puzzle.
+     */
+    setupNewGame() {
+        this.#solutionReplay.stop();
+        this.#stopClock();
+        this.#stopHunters();
+        const fenData = this.#fenGenerator.generateFen(this.#puzzle, this.#difficulty);
+        this.#settings = fenData.settings;
+        this.#startFen = fenData.fen;
+        this.#start = fenData.start;
+        this.#square = fenData.start;
+        this.#targets = fenData.targets;
+        this.#optimalMoves = fenData.optimalMoves;
+        this.#solutionPath = fenData.solutionPath;
+        this.#currentMoves = 0;
+        this.#finished = false;
+        this.#reached = new Set();
+        this.#protectedPawns = new Set(fenData.protectedPawns);
+        this.#visited = new Set([fenData.start]);
+        console.log(`Generated FEN for ${this.#puzzle.title} (difficulty:`, this.#difficulty, "):", fenData.fen);
+        console.log("Targets:", this.#targets, "Optimal moves:", this.#optimalMoves);
+        console.log("Level settings:", JSON.stringify(this.#settings));
+
+        // The clock counts down from the start of the puzzle
+        if (this.#settings.timeLimit) {
+            this.#clock = new ChessClock({ initial: this.#settings.timeLimit * 1000 });
+            this.#clock.setOnTick(() => this.#updateChallengeDisplay());
+            this.#clock.setOnFlag(() => this.#onTimeUp());
+        }
+
+        try {
+            this.board.disableMoveInput();
+        } catch (e) {
+            // Move input might not be enabled, ignore error
+        }
+
+        this.chess.load(fenData.fen);
+        this.#hunters = this.#huntersMode ? this.#pickHunters() : new Set();
+        if (this.#hunters.size > 0) {
+            console.log("Hunters:", [...this.#hunters]);
+        }
+        this.#updateChallengeDisplay();
+        this.movesTableController.clearMoves();
+        this.board.setPosition(this.chess.fen(), false);
+        this.#showTargets();
+        this.#showRuleMarkers();
+        this.#showHints();
+
+        // Wait a small amount of time to ensure the position is set
+        setTimeout(() => {
+            this.board.enableMoveInput(this.handleInput.bind(this), COLOR.white);
+            if (this.#clock) {
+                this.#clock.start('w');
+            }
+        }, 100);
+    }
+
+    /**
+     * Ends the puzzle and replays a shortest solution on the board.
+     * Can be used after solving the puzzle or to give up.
+     * @returns {Promise<boolean>} Whether the replay ran to the end
+     */
+    async showSolution() {
+        if (!this.#startFen) {
+            return false;
+        }
+        if (this.#isHunted()) {
+            alert("In hunters mode the black pieces move, so there is no fixed route to show.");
+            return false;
+        }
+        this.board.disableMoveInput();
+        this.#finished = true;
+        this.#stopClock();
+        this.#clearHints();
+        this.#clearRuleMarkers();
+        this.#reached = new Set();
+        this.#showTargets();
+        const name = this.#puzzle.piece.toUpperCase();
+        console.log(`${this.#puzzle.title} solution:`, this.#solutionPath.join(" "));
+        return this.#solutionReplay.play(this.#startFen, this.#start, this.#solutionPath, (step, from, to) => {
+            console.log(`Solution move ${step}/${this.#optimalMoves}: ${name}${from}-${to}`);
+        });
+    }
+
+    /**
+     * Main handler for board input events.
+     * @param {object} event - The board event.
+     * @returns {boolean}
+     */
+    handleInput(event) {
+        const piece = `w${this.#puzzle.piece}`;
+        switch (event.type) {
+            case INPUT_EVENT_TYPE.moveInputStarted:
+                if (this.board.removeMarkers) {
+                    this.board.removeMarkers(MARKER_TYPE.circleDanger);
+                }
+                // Only the puzzle piece moves, the other pieces are obstacles
+                return event.piece === piece;
+            case INPUT_EVENT_TYPE.moveInputCanceled:
+                if (event.reason === MOVE_CANCELED_REASON.movedOutOfBoard) {
+                    this.#explainRejection(event.squareFrom, null);
+                }
+                return true;
+            case INPUT_EVENT_TYPE.validateMoveInput: {
+                // The level rules come before the chess rules
+                if (event.piece === piece && this.#breaksLevelRules(event.squareFrom, event.squareTo)) {
+                    return false;
+                }
+                const move = this.playSoloMove(event.squareFrom, event.squareTo);
+                if (move) {
+                    this.#currentMoves++;
+                    this.#square = move.to;
+                    this.#visited.add(move.to);
+                    this.#protectedPawns.delete(move.to);
+                    this.#hunters.delete(move.to);
+                    if (this.#targets.includes(move.to)) {
+                        this.#reached.add(move.to);
+                    }
+                    this.movesTableController.addMove(move, false);
+                    this.#updateChallengeDisplay();
+                    this.#showTargets();
+                    this.#showRuleMarkers();
+                    if (this.#checkWinCondition(move.to)) {
+                        this.#clearHints();
+                    } else if (this.#hunters.size > 0) {
+                        // Black answers once the piece has landed, new hints follow the hunter move
+                        this.board.disableMoveInput();
+                        this.#clearHints();
+                        this.#hunterTimer = setTimeout(() => this.#playHunterMove(), HUNTER_DELAY);
+                    } else {
+                        this.#showHints();
+                        this.#checkStuck();
+                    }
+
+                    // Let the visual board handle the move animation, then sync
+                    setTimeout(() => {
+                        this.board.setPosition(this.chess.fen(), false);
+                    }, 50);
+                } else if (event.piece === piece) {
+                    this.#explainRejection(event.squareFrom, event.squareTo);
+                }
+                return !!move;
+            }
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Updates the challenge display with the goal, current and optimal moves and the level rules.
+     * @private
+     */
+    #updateChallengeDisplay() {
+        const challengeElement = document.getElementById('soloPuzzleChallenge');
+        if (challengeElement) {
+            const hunted = this.#isHunted();
+            const performance = this.#currentMoves <= this.#optimalMoves ?
+                '<span class="optimal-performance">🎯 Optimal!</span>' :
+                '<span class="sub-optimal-performance">📈 Can do better</span>';
+            const progress = this.#countsTargets() ?
+                `<div class="current-moves">Targets: ${this.#reached.size}/${this.#targets.length}</div>` : '';
+
+            const rules = [];
+            if (this.#protectedPawns.size > 0) {
+                rules.push(`🛡️ ${this.#protectedPawns.size} protected`);
+            }
+            if (this.#settings && this.#settings.noRevisit) {
+                rules.push('🚫 No revisits');
+            }
+            if (this.#clock) {
+                rules.push(`⏱️ ${ChessClock.formatTime(this.#clock.getTime('w'))}`);
+            }
+
+            challengeElement.innerHTML = `
+                <div class="challenge-info">
+                    <div class="optimal-moves">${hunted ? `Hunters: ${this.#hunters.size}` : `Target: ${this.#optimalMoves} moves`}</div>
+                    <div class="current-moves">Current: ${this.#currentMoves} moves</div>
+                    ${progress}
+                    ${rules.length > 0 ? `<div class="current-moves">${rules.join(' · ')}</div>` : ''}
+                    ${this.#currentMoves > 0 && !hunted ? performance : ''}
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * Marks the squares still to reach. Black pieces to capture need no marker.
+     * @private
+     */
+    #showTargets() {
+        if (!this.board.addMarker) {
+            return;
+        }
+        this.board.removeMarkers(MARKER_TYPE.circlePrimary);
+        if (this.#puzzle.winCondition === WIN_CONDITION.captureAll) {
+            return;
+        }
+        this.#targets
+            .filter(square => !this.#reached.has(square))
+            .forEach(square => this.board.addMarker(MARKER_TYPE.circlePrimary, square));
+    }
+
+    /**
+     * Frames the protected pawns and the hunters, shades the squares the protected pawns
+     * defend and, with the "no revisit" rule, the squares the piece has already been on.
+     * @private
+     */
+    #showRuleMarkers() {
+        if (!this.board.addMarker) {
+            return;
+        }
+        this.#clearRuleMarkers();
+        this.#protectedPawns.forEach(square => {
+            this.board.addMarker(RULE_MARKER.protectedPawn, square);
+            getPawnDefendedSquares(square).forEach(defended => this.board.addMarker(RULE_MARKER.defended, defended));
+        });
+        if (this.#settings.noRevisit) {
+            this.#visited.forEach(square => this.board.addMarker(RULE_MARKER.visited, square));
+        }
+        this.#hunters.forEach(square => this.board.addMarker(RULE_MARKER.hunter, square));
+    }
+
+    /**
+     * Removes the markers of the level rules and the hunters.
+     * @private
+     */
+    #clearRuleMarkers() {
+        if (this.board.removeMarkers) {
+            Object.values(RULE_MARKER).forEach(type => this.board.removeMarkers(type));
+        }
+    }
+
+    /**
+     * Whether the win condition needs every target, so the progress is worth showing.
+     * @returns {boolean}
+     * @private
+     */
+    #countsTargets() {
+        return this.#puzzle.winCondition === WIN_CONDITION.captureAll ||
+            this.#puzzle.winCondition === WIN_CONDITION.visitAll;
+    }
+
+    /**
+     * Whether black pieces hunt the piece in the current puzzle.
+     * @returns {boolean}
+     * @private
+     */
+    #isHunted() {
+        return this.#huntersMode && (this.#settings?.hunters || 0) > 0;
+    }
+
+    /**
+     * Lists the protected pawns that defend a square.
+     * @param {string} square - Square in algebraic notation
+     * @returns {Array<string>} Squares of the protected pawns
+     * @private
+     */
+    #getGuards(square) {
+        return [...this.#protectedPawns].filter(pawn => getPawnDefendedSquares(pawn).includes(square));
+    }
+
+    /**
+     * Rejects moves that are legal in chess but break a rule of the level: landing on a
+     * square defended by a protected pawn, or on a square visited before.
+     * @param {string} from - Origin square.
+     * @param {string} to - Target square.
+     * @returns {boolean} Whether the move was rejected
+     * @private
+     */
+    #breaksLevelRules(from, to) {
+        const guards = this.#getGuards(to);
+        let message = null;
+        if (guards.length > 0) {
+            message = `${to} is defended by the protected pawn${guards.length > 1 ? 's' : ''} on ${guards.join(' and ')}.`;
+        } else if (this.#settings.noRevisit && this.#visited.has(to)) {
+            message = `The ${PIECE_NAMES[this.#puzzle.piece]} has already been on ${to}.`;
+        }
+        if (!message) {
+            return false;
+        }
+        console.log("Move breaks the level rules:", message);
+        this.movesTableController.addRejectionMessage(from, to, message);
+        if (this.board.addMarker) {
+            this.board.removeMarkers(MARKER_TYPE.circleDanger);
+            guards.forEach(square => this.board.addMarker(MARKER_TYPE.circleDanger, square));
+        }
+        return true;
+    }
+
+    /**
+     * Lists the moves of the piece that the chess rules and the level rules allow.
+     * @returns {Array<object>} Moves in chess.js verbose format
+     * @private
+     */
+    #getAllowedMoves() {
+        return this.chess.moves({ square: this.#square, verbose: true }).filter(move =>
+            this.#getGuards(move.to).length === 0 &&
+            !(this.#settings.noRevisit && this.#visited.has(move.to)));
+    }
+
+    /**
+     * Ends the puzzle when the goal is not reached yet but the piece has no allowed move left.
+     * @returns {boolean} Whether the piece is stuck
+     * @private
+     */
+    #checkStuck() {
+        if (this.#getAllowedMoves().length > 0) {
+            return false;
+        }
+        this.board.disableMoveInput();
+        this.#finished = true;
+        this.#stopClock();
+        const name = PIECE_NAMES[this.#puzzle.piece];
+        setTimeout(() => {
+            alert(this.#isHunted() ?
+                `🪤 The ${name} is trapped after ${this.#currentMoves} moves! Try again and keep away from the hunters.` :
+                `🪤 The ${name} is stuck on ${this.#square}: every move breaks a rule. Try again!`);
+            console.log(`${this.#puzzle.title}: the ${name} is stuck`);
+        }, 300);
+        return true;
+    }
+
+    /**
+     * Ends the puzzle when the time limit is reached.
+     * @private
+     */
+    #onTimeUp() {
+        if (this.#finished) {
+            return;
+        }
+        this.#finished = true;
+        this.board.disableMoveInput();
+        this.#stopHunters();
+        const done = this.#puzzle.winCondition === WIN_CONDITION.captureAll ? "captured" : "reached";
+        alert(`⏰ Time is up! You ${done} ${this.#reached.size} of ${this.#targets.length} targets.`);
+        console.log(`${this.#puzzle.title}: time is up`);
+    }
+
+    /**
+     * Stops the time limit clock of the current puzzle.
+     * @private
+     */
+    #stopClock() {
+        if (this.#clock) {
+            this.#clock.stop();
+            this.#clock = null;
+        }
+    }
+
+    /**
+     * Cancels a hunter move that has not been played yet.
+     * @private
+     */
+    #stopHunters() {
+        clearTimeout(this.#hunterTimer);
+        this.#hunterTimer = null;
+    }
+
+    /**
+     * Chooses the hunters among the black pieces that are not targets: knights, bishops,
+     * rooks and queens first, then pawns.
+     * @returns {Set<string>} Squares of the hunting pieces
+     * @private
+     */
+    #pickHunters() {
+        const pieces = [];
+        this.chess.board().forEach((row, rankIndex) => {
+            row.forEach((piece, fileIndex) => {
+                const square = String.fromCharCode('a'.charCodeAt(0) + fileIndex) + (8 - rankIndex);
+                if (piece && piece.color === 'b' && !this.#targets.includes(square)) {
+                    pieces.push({ square, isPawn: piece.type === 'p', order: Math.random() });
+                }
+            });
+        });
+        pieces.sort((a, b) => (a.isPawn - b.isPawn) || (a.order - b.order));
+        return new Set(pieces.slice(0, this.#settings.hunters || 0).map(piece => piece.square));
+    }
+
+    /**
+     * Lets the best hunter answer the move of the piece, then hands the turn back to the
+     * piece or ends the game when the piece can no longer move. A hunter move is placed
+     * on the board like a move of the piece, so white stays to move.
+     * @private
+     */
+    #playHunterMove() {
+        this.#hunterTimer = null;
+        const move = this.#chooseHunterMove();
+        if (move) {
+            this.chess.remove(move.from);
+            this.chess.put({ type: move.promotion || move.piece, color: move.color }, move.to);
+            this.#hunters.delete(move.from);
+            this.#hunters.add(move.to);
+            this.movesTableController.addMove(move, this.chess.in_check());
+            console.log("Hunter move:", move.san);
+        } else {
+            console.log("No hunter can move, the piece moves again");
+        }
+        this.board.setPosition(this.chess.fen(), true);
+        this.#showRuleMarkers();
+        this.#showHints();
+        this.#updateChallengeDisplay();
+        if (!this.#checkStuck()) {
+            this.board.enableMoveInput(this.handleInput.bind(this), COLOR.white);
+        }
+    }
+
+    /**
+     * Pursuit heuristic: the hunters prefer moves that leave the piece without a solution,
+     * then the ones that make its shortest solution longest, then the ones that end closest
+     * to the piece. Moves that let the piece take the hunter are avoided.
+     * The moves of black are listed on a copy of the position with black to move.
+     * @returns {object|null} Move in chess.js verbose format, or null if no hunter can move
+     * @private
+     */
+    #chooseHunterMove() {
+        const scratch = new Chess(`${this.chess.fen().split(' ')[0]} b - - 0 1`);
+        const targets = this.#targets.filter(square => !this.#reached.has(square));
+        let bestMove = null;
+        let bestScore = -Infinity;
+        for (const move of scratch.moves({ verbose: true })) {
+            if (!this.#hunters.has(move.from)) {
+                continue;
+            }
+            scratch.move(move);
+            const route = this.#fenGenerator.solve(scratch.fen(), this.#square, this.#puzzle.winCondition, targets, [...this.#protectedPawns]);
+            const hanging = scratch.moves({ square: this.#square, verbose: true }).some(reply => reply.to === move.to);
+            scratch.undo();
+
+            const solutionLength = route ? route.moves : 100;
+            const score = solutionLength * 10
+                - this.#squareDistance(move.to, this.#square)
+                - (hanging ? 50 : 0)
+                + Math.random();
+            if (score > bestScore) {
+                bestScore = score;
+                bestMove = move;
+            }
+        }
+        return bestMove;
+    }
+
+    /**
+     * Number of king steps between two squares.
+     * @param {string} from - Square in algebraic notation
+     * @param {string} to - Square in algebraic notation
+     * @returns {number}
+     * @private
+     */
+    #squareDistance(from, to) {
+        return Math.max(
+            Math.abs(from.charCodeAt(0) - to.charCodeAt(0)),
+            Math.abs(parseInt(from[1], 10) - parseInt(to[1], 10))
+        );
+    }
+
+    /**
+     * Draws the hints of the current level: every square attacked by black and, on the
+     * highest level, the allowed moves and the next step of a shortest solution.
+     * @private
+     */
+    #showHints() {
+        this.#clearHints();
+        if (this.#hintLevel === HINT_LEVEL.off || this.#finished || !this.#square || !this.board.addMarker) {
+            return;
+        }
+
+        for (const square of this.#getDangerSquares()) {
+            this.board.addMarker(HINT_MARKER.danger, square);
+        }
+        if (this.#hintLevel !== HINT_LEVEL.path) {
+            return;
+        }
+
+        this.#getAllowedMoves().forEach(move => this.board.addMarker(HINT_MARKER.safe, move.to));
+        const targets = this.#targets.filter(square => !this.#reached.has(square));
+        const route = this.#fenGenerator.solve(this.chess.fen(), this.#square, this.#puzzle.winCondition, targets, [...this.#protectedPawns]);
+        if (route && route.path.length > 0) {
+            this.board.addMarker(HINT_MARKER.nextStep, route.path[0]);
+        }
+    }
+
+    /**
+     * Removes all hint markers.
+     * @private
+     */
+    #clearHints() {
+        if (this.board.removeMarkers) {
+            Object.values(HINT_MARKER).forEach(type => this.board.removeMarkers(type));
+        }
+    }
+
+    /**
+     * Lists the squares a black piece would attack once the piece stands there,
+     * including squares of black pieces that are defended.
+     * @returns {Array<string>} Squares in algebraic notation
+     * @private
+     */
+    #getDangerSquares() {
+        const squares = [];
+        for (const file of "abcdefgh") {
+            for (let rank = 1; rank <= 8; rank++) {
+                const square = file + rank;
+                if (this.#explainer.getAttackers(this.chess, this.#square, square).length > 0) {
+                    squares.push(square);
+                }
+            }
+        }
+        return squares;
+    }
+
+    /**
+     * Shows why a move was rejected and marks the pieces guarding the target square.
+     * @param {string} from - Origin square.
+     * @param {string|null} to - Target square, null when the piece was dropped off the board.
+     * @private
+     */
+    #explainRejection(from, to) {
+        const explanation = this.#explainer.explain(this.chess, from, to);
+        console.log("Move rejected:", explanation.reason, "-", explanation.message);
+        this.movesTableController.addRejectionMessage(from, to, explanation.message);
+        if (this.board.addMarker) {
+            this.board.removeMarkers(MARKER_TYPE.circleDanger);
+            explanation.attackers.forEach(attacker => this.board.addMarker(MARKER_TYPE.circleDanger, attacker.square));
+        }
+    }
+
+    /**
+     * Checks if the win condition of the puzzle is met.
+     * @param {string} toSquare - The destination square of the move.
+     * @returns {boolean} Whether the puzzle is solved
+     * @private
+     */
+    #checkWinCondition(toSquare) {
+        const solved = this.#countsTargets() ?
+            this.#reached.size === this.#targets.length :
+            this.#reached.size > 0;
+        if (!solved) {
+            return false;
+        }
+        this.board.disableMoveInput();
+        this.#finished = true;
+        this.#stopClock();
+        const hunted = this.#isHunted();
+        // Use a small timeout to allow the move animation to finish
+        setTimeout(() => {
+            const name = PIECE_NAMES[this.#puzzle.piece];
+            const performance = hunted ?
+                `🏃 The ${name} escaped the hunters and finished on ${toSquare} in ${this.#currentMoves} moves!` :
+                this.#currentMoves <= this.#optimalMoves ?
+                `🎯 Perfect! The ${name} finished on ${toSquare} in ${this.#currentMoves} moves, the shortest possible route!` :
+                `✅ Well done! The ${name} finished on ${toSquare} in ${this.#currentMoves} moves. The shortest route takes ${this.#optimalMoves} moves. Try again for a better score!`;
+            alert(performance);
+            console.log(`${this.#puzzle.title}: Win condition met!`);
+            console.log(`Player moves: ${this.#currentMoves}, Optimal: ${this.#optimalMoves}`);
+        }, 300);
+        return true;
+    }
+}
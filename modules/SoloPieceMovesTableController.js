@@ -1,11 +1,11 @@
-
 import { BaseMovesTableController } from "./BaseMovesTableController.js";
+
 /**
- * King Escape Moves Table Controller
- * Manages the moves table UI for the King Escape game mode.
- * @module KingEscapeMovesTableController
+ * Solo Piece Moves Table Controller
+ * Manages the moves table UI for the solo piece puzzles.
+ * @module SoloPieceMovesTableController
  */
-export class KingEscapeMovesTableController extends BaseMovesTableController {
+export class SoloPieceMovesTableController extends BaseMovesTableController {
     #moveCounter = 0;
 
     /**
@@ -18,36 +18,39 @@ export class KingEscapeMovesTableController extends BaseMovesTableController {
     /**
      * Adds a new move to the table.
      * @param {object} move - The move object from chess.js, containing the SAN.
-     * @param {boolean} isInCheck - Whether the king is in check after this move.
+     * @param {boolean} isInCheck - Whether the white king is in check after this move (a hunter move).
      */
     addMove(move, isInCheck = false) {
         if (!this.tableBody || !move) return;
         this.#moveCounter++;
         const row = document.createElement("tr");
-        row.id = `king-move-${this.#moveCounter}`;
+        row.id = `solo-move-${this.#moveCounter}`;
+        
         let moveDisplay = move.san;
         if (isInCheck) {
-            moveDisplay += ' <span class=\"illegal-indicator\">Check!</span>';
+            moveDisplay += ' <span class="illegal-indicator">Check!</span>';
         }
+        
         row.innerHTML = `<td>${this.#moveCounter}</td><td>${moveDisplay}</td>`;
         this.tableBody.appendChild(row);
         this.#scrollToLastMove();
     }
 
     /**
-     * Adds a check message when a move is rejected due to check.
-     * @param {string} fromSquare - The square the king tried to move from.
-     * @param {string} toSquare - The square the king tried to move to.
+     * Adds a message explaining why a move was rejected.
+     * @param {string} fromSquare - The square the piece tried to move from.
+     * @param {string|null} toSquare - The square the piece tried to move to, null when dropped off the board.
+     * @param {string} reason - Explanation of the rejection.
      */
-    addCheckMessage(fromSquare, toSquare) {
+    addRejectionMessage(fromSquare, toSquare, reason) {
         if (!this.tableBody) return;
         this.#moveCounter++;
         const row = document.createElement("tr");
-        row.id = `king-move-${this.#moveCounter}`;
+        row.id = `solo-move-${this.#moveCounter}`;
         row.className = "illegal-warning-row";
-        const moveAttempt = `${fromSquare}-${toSquare}`;
-        const checkMessage = `<span class=\"illegal-indicator\"> Illegal Move! Cannot move to ${toSquare}</span>`;
-        row.innerHTML = `<td>${this.#moveCounter}</td><td>${checkMessage}</td>`;
+        const moveAttempt = `${fromSquare}-${toSquare || "?"}`;
+        const rejectionMessage = `<span class="illegal-indicator">Illegal Move ${moveAttempt}!</span> ${reason}`;
+        row.innerHTML = `<td>${this.#moveCounter}</td><td>${rejectionMessage}</td>`;
         this.tableBody.appendChild(row);
         this.#scrollToLastMove();
     }
@@ -72,4 +75,4 @@ export class KingEscapeMovesTableController extends BaseMovesTableController {
             container.scrollTop = container.scrollHeight;
         }
     }
-}
\ No newline at end of file
+}
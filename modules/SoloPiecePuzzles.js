@@ -0,0 +1,164 @@
+/**
+ * Definitions of the solo piece puzzles: the white piece, the win condition,
+ * the obstacle generator and the settings of each difficulty level
+ * @module SoloPiecePuzzles
+ */
+
+/**
+ * Win conditions a solo piece puzzle can use
+ */
+export const WIN_CONDITION = {
+    captureAll: "captureAll",   // Take every black piece on the board
+    reachRank: "reachRank",     // Land on any square of a rank
+    reachSquare: "reachSquare", // Land on one marked square
+    visitAll: "visitAll"        // Land on every marked square, in any order
+};
+
+/**
+ * Obstacle generators. Each one receives the level settings and a function that picks a
+ * free square (optionally filtered), and returns the obstacles as {square, piece} with
+ * the piece in FEN notation.
+ */
+export const OBSTACLES = {
+    /**
+     * White pawns the piece can neither pass nor take
+     * @param {{walls: number}} settings - Level settings
+     * @param {function(function(string): boolean=): string} pickSquare - Picks a free square
+     * @returns {Array<{square: string, piece: string}>}
+     */
+    walls(settings, pickSquare) {
+        const obstacles = [];
+        for (let i = 0; i < settings.walls; i++) {
+            obstacles.push({ square: pickSquare(isPawnSquare), piece: 'P' });
+        }
+        return obstacles;
+    },
+
+    /**
+     * Black pieces that stand still and guard the squares they attack. Like the pawns,
+     * they stay off the first and the last rank.
+     * @param {{guards: Object<string, number>}} settings - Level settings, number of pieces of each type
+     * @param {function(function(string): boolean=): string} pickSquare - Picks a free square
+     * @returns {Array<{square: string, piece: string}>}
+     */
+    guards(settings, pickSquare) {
+        const obstacles = [];
+        for (const [piece, count] of Object.entries(settings.guards)) {
+            for (let i = 0; i < count; i++) {
+                obstacles.push({ square: pickSquare(isPawnSquare), piece });
+            }
+        }
+        return obstacles;
+    }
+};
+
+/**
+ * Checks whether a square is light
+ * @param {string} square - Square in algebraic notation
+ * @returns {boolean}
+ */
+export function isLightSquare(square) {
+    return (square.charCodeAt(0) - 'a'.charCodeAt(0) + parseInt(square[1], 10)) % 2 === 1;
+}
+
+/**
+ * Checks whether a pawn may stand on a square: never on the first or the last rank
+ * @param {string} square - Square in algebraic notation
+ * @returns {boolean}
+ */
+export function isPawnSquare(square) {
+    return square[1] !== '1' && square[1] !== '8';
+}
+
+/**
+ * Squares a black pawn defends (diagonally towards the 1st rank)
+ * @param {string} square - Square of the pawn
+ * @returns {Array<string>} Defended squares
+ */
+export function getPawnDefendedSquares(square) {
+    const file = square.charCodeAt(0) - 'a'.charCodeAt(0);
+    const rank = parseInt(square[1], 10) - 1;
+    return [file - 1, file + 1]
+        .filter(f => f >= 0 && f < 8 && rank >= 1)
+        .map(f => String.fromCharCode('a'.charCodeAt(0) + f) + rank);
+}
+
+/**
+ * The solo piece puzzles. Besides the number of walls, targets and the fewest moves a
+ * solution must take, a level can set:
+ * - protectedPawns: black pawns to capture whose defended squares the piece may not land on
+ * - timeLimit: seconds to solve the puzzle in
+ * - noRevisit: whether the piece may land on a square twice
+ * - guards: black pieces of each type that attack squares, hunters: how many of them hunt the piece
+ */
+export const SOLO_PUZZLES = {
+    loneKnight: {
+        title: "Lone Knight",
+        piece: "n",
+        winCondition: WIN_CONDITION.captureAll,
+        goal: "Capture every black pawn with the knight in as few moves as you can.",
+        // The knight starts on the a-file or in a corner of the h-file
+        startSquares: ['a1', 'a2', 'a3', 'a4', 'a5', 'a6', 'a7', 'a8', 'h1', 'h8'],
+        levels: {
+            easy:    { targets: 6, minMoves: 6, protectedPawns: 0, timeLimit: null, noRevisit: false },
+            medium:  { targets: 8, minMoves: 8, protectedPawns: 0, timeLimit: null, noRevisit: false },
+            hard:    { targets: 10, minMoves: 10, protectedPawns: 2, timeLimit: 120, noRevisit: false },
+            extreme: { targets: 12, minMoves: 12, protectedPawns: 3, timeLimit: 90, noRevisit: true }
+        }
+    },
+    kingEscape: {
+        title: "King Escape",
+        piece: "k",
+        winCondition: WIN_CONDITION.reachRank,
+        obstacles: OBSTACLES.guards,
+        goal: "Bring the king to the 8th rank without stepping on a square a black piece attacks.",
+        startSquares: ['e1'],
+        levels: {
+            easy:    { guards: { p: 3, n: 1, b: 1 }, hunters: 1, minMoves: 7 },
+            medium:  { guards: { p: 4, n: 1, b: 1, r: 1 }, hunters: 2, minMoves: 7 },
+            hard:    { guards: { p: 4, n: 2, b: 2, r: 1 }, hunters: 3, minMoves: 7 },
+            extreme: { guards: { p: 6, n: 2, b: 2, r: 2 }, hunters: 4, minMoves: 7 }
+        }
+    },
+    rookMaze: {
+        title: "Rook Maze",
+        piece: "r",
+        winCondition: WIN_CONDITION.reachSquare,
+        obstacles: OBSTACLES.walls,
+        goal: "Bring the rook to the marked square. Your own pawns block the way.",
+        levels: {
+            easy:    { walls: 10, targets: 1, minMoves: 3 },
+            medium:  { walls: 14, targets: 1, minMoves: 4 },
+            hard:    { walls: 18, targets: 1, minMoves: 5 },
+            extreme: { walls: 22, targets: 1, minMoves: 6 }
+        }
+    },
+    bishopMaze: {
+        title: "Bishop Maze",
+        piece: "b",
+        winCondition: WIN_CONDITION.captureAll,
+        obstacles: OBSTACLES.walls,
+        goal: "Capture every black pawn with the bishop. Your own pawns block the way.",
+        // A bishop never leaves the color of its starting square
+        targetFilter: (square, start) => isLightSquare(square) === isLightSquare(start),
+        levels: {
+            easy:    { walls: 6, targets: 3, minMoves: 4 },
+            medium:  { walls: 10, targets: 4, minMoves: 6 },
+            hard:    { walls: 14, targets: 5, minMoves: 8 },
+            extreme: { walls: 18, targets: 6, minMoves: 10 }
+        }
+    },
+    queenMaze: {
+        title: "Queen Maze",
+        piece: "q",
+        winCondition: WIN_CONDITION.visitAll,
+        obstacles: OBSTACLES.walls,
+        goal: "Visit every marked square with the queen. Your own pawns block the way.",
+        levels: {
+            easy:    { walls: 12, targets: 3, minMoves: 3 },
+            medium:  { walls: 16, targets: 4, minMoves: 4 },
+            hard:    { walls: 20, targets: 5, minMoves: 6 },
+            extreme: { walls: 24, targets: 6, minMoves: 7 }
+        }
+    }
+};
@@ -0,0 +1,91 @@
+/**
+ * Step-by-step replay of a puzzle solution, with the route drawn as arrows
+ * (needs the cm-chessboard Arrows extension)
+ * @module SolutionReplay
+ */
+
+import { ARROW_TYPE } from "../cm-chessboard-master/src/extensions/arrows/Arrows.js";
+
+export class SolutionReplay {
+    #board;
+    #stepDelay;
+    #timer = null;
+    #finish = null;
+
+    /**
+     * @param {Chessboard} board - Visual board instance
+     * @param {number} stepDelay - Time between two moves in ms (default: 700)
+     */
+    constructor(board, stepDelay = 700) {
+        this.#board = board;
+        this.#stepDelay = stepDelay;
+    }
+
+    /**
+     * Shows the starting position, draws the whole route and walks the piece along it
+     * @param {string} fen - Starting position of the puzzle
+     * @param {string} from - Square of the piece that follows the route
+     * @param {Array<string>} squares - Squares the piece lands on, in order
+     * @param {function(number, string, string): void} onStep - Called after each move with step number, from and to square (optional)
+     * @returns {Promise<boolean>} Resolves with true when the route was played to the end, false when stopped
+     */
+    async play(fen, from, squares, onStep = null) {
+        this.stop();
+        await this.#board.setPosition(fen, false);
+
+        if (this.#board.addArrow) {
+            let arrowFrom = from;
+            for (const square of squares) {
+                this.#board.addArrow(ARROW_TYPE.default, arrowFrom, square);
+                arrowFrom = square;
+            }
+        }
+
+        return new Promise((resolve) => {
+            this.#finish = resolve;
+            let step = 0;
+            let current = from;
+            const nextStep = () => {
+                if (step >= squares.length) {
+                    this.#timer = null;
+                    this.#finish = null;
+                    resolve(true);
+                    return;
+                }
+                const to = squares[step++];
+                this.#board.movePiece(current, to, true);
+                if (onStep) {
+                    onStep(step, current, to);
+                }
+                current = to;
+                this.#timer = setTimeout(nextStep, this.#stepDelay);
+            };
+            this.#timer = setTimeout(nextStep, this.#stepDelay);
+        });
+    }
+
+    /**
+     * Stops a running replay and removes its arrows
+     */
+    stop() {
+        if (this.#timer !== null) {
+            clearTimeout(this.#timer);
+            this.#timer = null;
+        }
+        if (this.#finish) {
+            this.#finish(false);
+            this.#finish = null;
+        }
+        if (this.#board.removeArrows) {
+            this.#board.removeArrows();
+        }
+    }
+
+    /**
+     * Checks whether a replay is running
+     * @returns {boolean}
+     */
+    isPlaying() {
+        return this.#finish !== null;
+    }
+}
@@ -1,3 +1,5 @@
+import { ChessClock } from "./ChessClock.js";
+
 /**
  * UI Controller
  * Manages user interface elements and event listeners for the main game.
@@ -19,7 +21,167 @@ export class UIController {
     initializeUI() {
         this.#setupButton("resetButton", () => this.#gameController.resetGame());
         this.#setupButton("undoButton", () => this.#gameController.undoMove());
+        this.#setupButton("redoButton", () => this.#gameController.redoMove());
         this.#setupButton("forceBlackMoveButton", () => this.#handleForceBlackMove());
+        this.#setupButton("downloadPgnButton", () => this.#gameController.downloadPgn());
+        this.#setupButton("copyPgnButton", () => this.#handleCopyPgn());
+        this.#setupPlayerButtons();
+        this.#setupClocks();
+        this.#setupPgnImport();
+        this.#setupMoveNavigation();
+    }
+
+    /**
+     * Wires the player type buttons of each side to the game controller.
+     * Each row carries the side in `data-color`, each button the type in `data-player`.
+     * The UCI engine worker comes from `data-worker-url`, unless the page URL names
+     * another one, e.g. play.html?engine=../modules/mock-uci-engine.js&engineType=module
+     * @private
+     */
+    #setupPlayerButtons() {
+        const urlParams = new URLSearchParams(window.location.search);
+        document.querySelectorAll(".player-controls").forEach(row => {
+            const buttons = row.querySelectorAll(".difficulty-btn");
+            buttons.forEach(button => {
+                button.addEventListener("click", () => {
+                    this.#gameController.setPlayer(row.dataset.color, button.dataset.player, {
+                        workerUrl: urlParams.get("engine") || button.dataset.workerUrl,
+                        workerType: urlParams.get("engineType") || button.dataset.workerType
+                    });
+                    buttons.forEach(b => b.classList.remove("selected"));
+                    button.classList.add("selected");
+                });
+            });
+        });
+    }
+
+    /**
+     * Wires the time control buttons and shows the clocks of both sides.
+     * @private
+     */
+    #setupClocks() {
+        const buttons = document.querySelectorAll("#timeControls .difficulty-btn");
+        buttons.forEach(button => {
+            button.addEventListener("click", () => {
+                this.#gameController.setTimeControl(button.dataset.timeControl);
+                buttons.forEach(b => b.classList.remove("selected"));
+                button.classList.add("selected");
+            });
+        });
+
+        const pauseToggle = document.getElementById("pauseClockToggle");
+        if (pauseToggle) {
+            pauseToggle.checked = this.#gameController.getPauseClockWhileThinking();
+            pauseToggle.addEventListener("change", () => {
+                this.#gameController.setPauseClockWhileThinking(pauseToggle.checked);
+            });
+        }
+
+        const clockElements = {
+            w: document.getElementById("whiteClock"),
+            b: document.getElementById("blackClock")
+        };
+        this.#gameController.getClock().setOnTick(({ active, running, ...times }) => {
+            for (const [color, element] of Object.entries(clockElements)) {
+                if (!element) {
+                    continue;
+                }
+                const time = times[color];
+                element.querySelector(".chess-clock-time").textContent = ChessClock.formatTime(time);
+                element.classList.toggle("active", running && active === color);
+                element.classList.toggle("low-time", time !== null && time < 10000);
+                element.classList.toggle("flagged", time === 0);
+            }
+        });
+    }
+
+    /**
+     * Wires the PGN import panel: paste or upload a PGN, then pick the move to continue from.
+     * @private
+     */
+    #setupPgnImport() {
+        const input = document.getElementById("pgnInput");
+        const fileInput = document.getElementById("pgnFileInput");
+        const select = document.getElementById("continueFromSelect");
+
+        this.#setupButton("loadPgnButton", () => this.#loadPgn(input ? input.value : ""));
+        if (fileInput) {
+            fileInput.addEventListener("change", async () => {
+                const file = fileInput.files[0];
+                if (!file) {
+                    return;
+                }
+                const text = await file.text();
+                if (input) {
+                    input.value = text;
+                }
+                this.#loadPgn(text);
+                fileInput.value = "";
+            });
+        }
+        this.#setupButton("continueFromButton", () => {
+            if (select && select.value !== "") {
+                this.#gameController.continueFromPly(parseInt(select.value, 10));
+            }
+        });
+        // Keep the list in step with the game, moves are played and taken back all the time
+        this.#gameController.setOnGameChanged(() => this.#updateContinueOptions());
+        this.#updateContinueOptions();
+    }
+
+    /**
+     * Loads a PGN into the game and reports the outcome
+     * @param {string} pgn - PGN text
+     * @private
+     */
+    #loadPgn(pgn) {
+        const loaded = this.#gameController.loadPgn(pgn);
+        const status = document.getElementById("pgnImportStatus");
+        if (status) {
+            const plies = this.#gameController.getHistory().length;
+            status.textContent = loaded ? `Game loaded (${plies} half moves).` : "Could not read this PGN.";
+            status.classList.toggle("error", !loaded);
+        }
+    }
+
+    /**
+     * Fills the "Continue from" list with the starting position and every move of the line being played.
+     * Moves are numbered from the starting position, which may be a FEN with black to move.
+     * @private
+     */
+    #updateContinueOptions() {
+        const select = document.getElementById("continueFromSelect");
+        if (!select) {
+            return;
+        }
+        const line = [];
+        for (let node = this.#gameController.getCurrentNode(); node.parent; node = node.parent) {
+            line.unshift(node);
+        }
+        select.innerHTML = "";
+        select.add(new Option("Starting position", "0"));
+        line.forEach((node, index) => select.add(new Option(node.toString(false), String(index + 1))));
+        select.value = String(line.length);
+    }
+
+    /**
+     * Lets the arrow keys step through the game shown in the moves table.
+     * ← / → go one move back or forward, Home / End to the start or the live position.
+     * @private
+     */
+    #setupMoveNavigation() {
+        const directions = { ArrowLeft: "previous", ArrowRight: "next", Home: "start", End: "end" };
+        document.addEventListener("keydown", (event) => {
+            const tag = event.target.tagName;
+            if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") {
+                return;
+            }
+            const direction = directions[event.key];
+            if (direction && !event.altKey && !event.ctrlKey && !event.metaKey) {
+                event.preventDefault();
+                this.#gameController.navigate(direction);
+            }
+        });
     }
 
     /**
@@ -45,13 +207,33 @@ export class UIController {
         await this.#gameController.forceBlackMove();
     }
 
+    /**
+     * Handles the "Copy PGN" button click and briefly shows the outcome on the button.
+     * @private
+     */
+    async #handleCopyPgn() {
+        const button = document.getElementById("copyPgnButton");
+        const copied = await this.#gameController.copyPgnToClipboard();
+        if (button) {
+            const label = button.dataset.label || button.textContent;
+            button.dataset.label = label;
+            button.textContent = copied ? "Copied!" : "Copy failed";
+            setTimeout(() => { button.textContent = label; }, 1500);
+        }
+    }
+
     /**
      * Exposes controller functions to the global window object for debugging.
      */
     exposeGlobalFunctions() {
         window.resetGame = () => this.#gameController.resetGame();
         window.undoMove = () => this.#gameController.undoMove();
+        window.redoMove = () => this.#gameController.redoMove();
         window.forceBlackMove = () => this.#handleForceBlackMove();
         window.getGameInfo = () => this.#gameController.getGameInfo();
+        window.setPlayer = (color, type, options) => this.#gameController.setPlayer(color, type, options);
+        window.setTimeControl = (timeControl) => this.#gameController.setTimeControl(timeControl);
+        window.exportPgn = () => this.#gameController.exportPgn();
+        window.loadPgn = (pgn) => this.#loadPgn(pgn);
     }
 }
\ No newline at end of file
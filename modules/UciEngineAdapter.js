@@ -0,0 +1,282 @@
+/**
+ * Bridge to any UCI chess engine running as a Web Worker script
+ * (e.g. stockfish.js or the local mock-uci-engine.js)
+ * @module UciEngineAdapter
+ */
+
+export class UciEngineAdapter {
+    #workerUrl;
+    #workerType;
+    #movetime;
+    #engineOptions;
+    #responseTimeout;
+    #worker = null;
+    #ready = null;
+    #listeners = new Set();
+    #engineName = null;
+    #searchesRunning = 0;
+    #requestId = 0;
+
+    /**
+     * @param {string} workerUrl - URL of the engine worker script, relative to the page
+     * @param {object} config - Optional settings
+     * @param {number} config.movetime - Thinking time per move in ms (default: 1000)
+     * @param {"classic"|"module"} config.workerType - Worker type (default: "classic")
+     * @param {object} config.engineOptions - UCI options sent with `setoption`, e.g. { "Skill Level": 5 }
+     * @param {number} config.responseTimeout - Extra ms to wait for an answer before giving up (default: 5000)
+     */
+    constructor(workerUrl, { movetime = 1000, workerType = "classic", engineOptions = {}, responseTimeout = 5000 } = {}) {
+        this.#workerUrl = workerUrl;
+        this.#workerType = workerType;
+        this.#movetime = movetime;
+        this.#engineOptions = engineOptions;
+        this.#responseTimeout = responseTimeout;
+    }
+
+    /**
+     * Starts the worker and performs the UCI handshake (`uci` / `uciok`, `isready` / `readyok`).
+     * Safe to call several times, the handshake only happens once.
+     * @returns {Promise<void>} Resolves when the engine is ready
+     */
+    init() {
+        if (!this.#ready) {
+            this.#ready = this.#startWorker().catch(error => {
+                this.terminate();
+                throw error;
+            });
+        }
+        return this.#ready;
+    }
+
+    /**
+     * Name reported by the engine in its `id name` line
+     * @returns {string|null} Engine name or null before the handshake
+     */
+    getEngineName() {
+        return this.#engineName;
+    }
+
+    /**
+     * Changes the thinking time per move
+     * @param {number} movetime - Time in ms
+     */
+    setMovetime(movetime) {
+        this.#movetime = movetime;
+    }
+
+    /**
+     * Tells the engine that the next search belongs to a new game
+     * @returns {Promise<void>}
+     */
+    async newGame() {
+        await this.init();
+        await this.#stopSearch();
+        this.send("ucinewgame");
+        this.send("isready");
+        await this.#waitFor(line => line === "readyok");
+    }
+
+    /**
+     * Asks the engine for the best move in the current game.
+     * A search still running for an earlier request is stopped first and its answer dropped,
+     * so every `bestmove` belongs to the request that started the search.
+     * @param {Chess} chess - Chess.js instance, its history is sent as `position fen ... moves ...`
+     * @param {number} movetime - Thinking time in ms (default: the configured movetime)
+     * @returns {Promise<{from: string, to: string, promotion: (string|undefined)}|null>} Move object, or null if the
+     *   engine has no move or a newer request came in meanwhile
+     */
+    async getBestMove(chess, movetime = this.#movetime) {
+        const requestId = ++this.#requestId;
+        await this.init();
+        await this.#stopSearch();
+        if (requestId !== this.#requestId) {
+            return null;
+        }
+        this.send(this.#getPositionCommand(chess));
+        this.send(`go movetime ${movetime}`);
+        this.#searchesRunning++;
+        const line = await this.#waitFor(line => line.startsWith("bestmove"), movetime + this.#responseTimeout);
+        if (requestId !== this.#requestId) {
+            return null;
+        }
+        const uciMove = line.split(/\s+/)[1];
+        if (!uciMove || uciMove === "(none)" || uciMove === "0000") {
+            return null;
+        }
+        return {
+            from: uciMove.substring(0, 2),
+            to: uciMove.substring(2, 4),
+            promotion: uciMove.length > 4 ? uciMove.charAt(4) : undefined
+        };
+    }
+
+    /**
+     * Returns a strategy function for AIPlayerController
+     * @param {function(Chess): *} fallbackStrategy - Strategy used when the engine fails (optional)
+     * @returns {function(Chess): Promise<object|string|null>} Async strategy
+     */
+    getStrategy(fallbackStrategy = null) {
+        return async (chess) => {
+            try {
+                return await this.getBestMove(chess);
+            } catch (error) {
+                console.error("UCI engine failed, using fallback strategy:", error);
+                return fallbackStrategy ? fallbackStrategy(chess) : null;
+            }
+        };
+    }
+
+    /**
+     * Sends a raw UCI command to the engine
+     * @param {string} command - UCI command
+     */
+    send(command) {
+        if (!this.#worker) {
+            throw new Error("UCI engine is not running. Call init() first.");
+        }
+        console.log(`[UCI] >> ${command}`);
+        this.#worker.postMessage(command);
+    }
+
+    /**
+     * Stops the worker and rejects pending requests
+     */
+    terminate() {
+        if (this.#worker) {
+            try {
+                this.#worker.postMessage("quit");
+            } catch (e) {
+                // Worker may already be gone, ignore error
+            }
+            this.#worker.terminate();
+            this.#worker = null;
+        }
+        this.#ready = null;
+        this.#searchesRunning = 0;
+        for (const listener of this.#listeners) {
+            listener.reject(new Error("UCI engine terminated"));
+        }
+        this.#listeners.clear();
+    }
+
+    /**
+     * Creates the worker and runs the handshake
+     * @returns {Promise<void>}
+     * @private
+     */
+    async #startWorker() {
+        this.#worker = new Worker(this.#workerUrl, { type: this.#workerType });
+        this.#worker.addEventListener("message", (event) => this.#handleMessage(event.data));
+        this.#worker.addEventListener("error", (event) => {
+            const error = new Error(`UCI engine worker error: ${event.message || this.#workerUrl}`);
+            for (const listener of this.#listeners) {
+                listener.reject(error);
+            }
+            this.#listeners.clear();
+        });
+
+        this.send("uci");
+        await this.#waitFor(line => line === "uciok");
+        for (const [name, value] of Object.entries(this.#engineOptions)) {
+            this.send(`setoption name ${name} value ${value}`);
+        }
+        this.send("isready");
+        await this.#waitFor(line => line === "readyok");
+        console.log(`UCI engine ready: ${this.#engineName || this.#workerUrl}`);
+    }
+
+    /**
+     * Stops a running search and waits until its `bestmove` has arrived, so that it can not
+     * answer the next request. If the engine does not answer, it is terminated and started
+     * again on the next request.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async #stopSearch() {
+        if (this.#searchesRunning === 0) {
+            return;
+        }
+        this.send("stop");
+        try {
+            await this.#waitFor(line => line.startsWith("bestmove") && this.#searchesRunning === 0);
+        } catch (error) {
+            this.terminate();
+            throw error;
+        }
+    }
+
+    /**
+     * Dispatches every output line of the engine to the pending listeners
+     * @param {*} data - Message posted by the worker
+     * @private
+     */
+    #handleMessage(data) {
+        const lines = String(data).split("\n").map(line => line.trim()).filter(line => line);
+        for (const line of lines) {
+            console.log(`[UCI] << ${line}`);
+            if (line.startsWith("id name ")) {
+                this.#engineName = line.substring("id name ".length);
+            }
+            if (line.startsWith("bestmove") && this.#searchesRunning > 0) {
+                this.#searchesRunning--;
+            }
+            for (const listener of this.#listeners) {
+                if (listener.predicate(line)) {
+                    this.#listeners.delete(listener);
+                    listener.resolve(line);
+                }
+            }
+        }
+    }
+
+    /**
+     * Waits for the first output line matching the predicate
+     * @param {function(string): boolean} predicate - Line matcher
+     * @param {number} timeout - Time in ms before rejecting
+     * @returns {Promise<string>} The matching line
+     * @private
+     */
+    #waitFor(predicate, timeout = this.#responseTimeout) {
+        return new Promise((resolve, reject) => {
+            const listener = {
+                predicate,
+                resolve: (line) => {
+                    clearTimeout(timer);
+                    resolve(line);
+                },
+                reject: (error) => {
+                    clearTimeout(timer);
+                    reject(error);
+                }
+            };
+            const timer = setTimeout(() => {
+                this.#listeners.delete(listener);
+                reject(new Error(`UCI engine did not answer within ${timeout}ms`));
+            }, timeout);
+            this.#listeners.add(listener);
+        });
+    }
+
+    /**
+     * Builds the `position fen ... moves ...` command from the game history
+     * @param {Chess} chess - Chess.js instance
+     * @returns {string} UCI position command
+     * @private
+     */
+    #getPositionCommand(chess) {
+        const history = chess.history({ verbose: true });
+        // Rewind to the starting position to read its FEN, then replay the game
+        for (let i = 0; i < history.length; i++) {
+            chess.undo();
+        }
+        const startFen = chess.fen();
+        for (const move of history) {
+            chess.move({ from: move.from, to: move.to, promotion: move.promotion });
+        }
+
+        const uciMoves = history.map(move => `${move.from}${move.to}${move.promotion || ""}`);
+        return uciMoves.length > 0
+            ? `position fen ${startFen} moves ${uciMoves.join(" ")}`
+            : `position fen ${startFen}`;
+    }
+}
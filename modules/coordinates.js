@@ -0,0 +1,77 @@
+import { Markers } from "../cm-chessboard-master/src/extensions/markers/Markers.js";
+import { BoardManager } from "./BoardManager.js";
+import { ThemeManager } from "./ThemeManager.js";
+import { CoordinateTrainerController } from "./CoordinateTrainerController.js";
+
+// Initialize theme manager for consistent theming
+const themeManager = new ThemeManager();
+
+// Create the board manager for the coordinate trainer
+const boardManager = new BoardManager("coordinate-board", {
+    position: "8/8/8/8/8/8/8/8 w - - 0 1", // The trainer uses an empty board
+    style: {
+        pieces: { file: "pieces/staunty.svg" },
+        animationDuration: 300,
+        showCoordinates: true,
+        borderType: "thin"
+    },
+    responsive: true,
+    extensions: [{ class: Markers }]
+});
+
+// Create the trainer controller
+const trainer = new CoordinateTrainerController(boardManager);
+
+/**
+ * Makes a group of buttons behave like radio buttons
+ * @param {string} selector - Selector of the buttons
+ * @param {string} attribute - Data attribute holding the value
+ * @param {function(string): void} onSelect - Called with the value of the clicked button
+ */
+function setupButtonGroup(selector, attribute, onSelect) {
+    const buttons = document.querySelectorAll(selector);
+    buttons.forEach(btn => {
+        btn.addEventListener('click', () => {
+            onSelect(btn.getAttribute(attribute));
+            buttons.forEach(b => b.classList.remove('selected'));
+            btn.classList.add('selected');
+        });
+    });
+}
+
+// Mode and orientation buttons functionality
+setupButtonGroup('.difficulty-btn[data-mode]', 'data-mode', mode => trainer.setMode(mode));
+setupButtonGroup('.difficulty-btn[data-orientation]', 'data-orientation', color => trainer.setOrientation(color));
+
+// Show coordinates toggle functionality
+const coordinatesToggle = document.getElementById("showCoordinatesToggle");
+if (coordinatesToggle) {
+    coordinatesToggle.addEventListener("change", () => trainer.setShowCoordinates(coordinatesToggle.checked));
+}
+
+// Start and stop buttons functionality
+const answerInput = document.getElementById("coordinateAnswerInput");
+const startBtn = document.getElementById("startCoordinateRoundButton");
+if (startBtn) {
+    startBtn.addEventListener("click", () => {
+        trainer.startRound();
+        if (answerInput && !answerInput.closest('form').hidden) {
+            answerInput.focus();
+        }
+    });
+}
+const stopBtn = document.getElementById("stopCoordinateRoundButton");
+if (stopBtn) {
+    stopBtn.addEventListener("click", () => trainer.stopRound());
+}
+
+// Answer form functionality for the "name the square" mode
+const answerForm = document.getElementById("coordinateAnswerForm");
+if (answerForm && answerInput) {
+    answerForm.addEventListener("submit", (event) => {
+        event.preventDefault();
+        trainer.answerWithName(answerInput.value);
+        answerInput.value = '';
+        answerInput.focus();
+    });
+}
@@ -0,0 +1,44 @@
+import { Arrows } from "../cm-chessboard-master/src/extensions/arrows/Arrows.js";
+import { Markers } from "../cm-chessboard-master/src/extensions/markers/Markers.js";
+import { BoardManager } from "./BoardManager.js";
+import { ThemeManager } from "./ThemeManager.js";
+import { EightQueensController } from "./EightQueensController.js";
+
+// Initialize theme manager for consistent theming
+const themeManager = new ThemeManager();
+
+// Create the board manager for the Eight Queens puzzle
+const boardManager = new BoardManager("eight-queens-board", {
+    position: "8/8/8/8/8/8/8/8 w - - 0 1", // Empty board initially
+    style: {
+        pieces: { file: "pieces/staunty.svg" },
+        animationDuration: 300,
+        showCoordinates: true,
+        borderType: "thin"
+    },
+    responsive: true,
+    extensions: [
+        { class: Arrows },  // Shows the queens that attack each other
+        { class: Markers }  // Shows the attacked squares
+    ]
+});
+
+// Create the puzzle controller and start listening to clicks
+const controller = new EightQueensController(boardManager.getBoard());
+controller.start();
+
+// Clear button functionality
+const clearBtn = document.getElementById("clearEightQueensButton");
+if (clearBtn) {
+    clearBtn.addEventListener("click", () => controller.clear());
+}
+
+// Forget the solutions found so far, after asking
+const resetSolutionsBtn = document.getElementById("resetEightQueensSolutionsButton");
+if (resetSolutionsBtn) {
+    resetSolutionsBtn.addEventListener("click", () => {
+        if (confirm("Forget all the solutions you have found?")) {
+            controller.resetFoundSolutions();
+        }
+    });
+}
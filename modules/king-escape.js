@@ -1,15 +1,18 @@
 import { Chess } from "https://cdn.jsdelivr.net/npm/chess.mjs@1/src/chess.mjs/Chess.js";
+import { Arrows } from "../cm-chessboard-master/src/extensions/arrows/Arrows.js";
+import { Markers } from "../cm-chessboard-master/src/extensions/markers/Markers.js";
 import { BoardManager } from "./BoardManager.js";
 import { ThemeManager } from "./ThemeManager.js";
-import { KingEscapeGameController } from "./KingEscapeGameController.js";
-import { KingEscapeMovesTableController } from "./KingEscapeMovesTableController.js";
+import { SoloPieceGameController, HINT_LEVEL } from "./SoloPieceGameController.js";
+import { SoloPieceMovesTableController } from "./SoloPieceMovesTableController.js";
+import { SOLO_PUZZLES } from "./SoloPiecePuzzles.js";
 
 // Initialize theme manager for consistent theming
 const themeManager = new ThemeManager();
 
 // Initialize main components
 const chess = new Chess();
-const movesTableController = new KingEscapeMovesTableController("kingMovesTableBody");
+const movesTableController = new SoloPieceMovesTableController("kingMovesTableBody");
 
 // Create the board manager for the King Escape game
 const boardManager = new BoardManager("king-board", {
@@ -20,11 +23,12 @@ const boardManager = new BoardManager("king-board", {
         showCoordinates: true,
         borderType: "thin"
     },
-    responsive: true
+    responsive: true,
+    extensions: [{ class: Arrows }, { class: Markers }]
 });
 
 // Create the game controller
-const gameController = new KingEscapeGameController(chess, boardManager.getBoard(), movesTableController);
+const gameController = new SoloPieceGameController(chess, boardManager.getBoard(), movesTableController, SOLO_PUZZLES.kingEscape);
 
 // Start the game
 gameController.startGame();
@@ -35,8 +39,30 @@ if (resetBtn) {
     resetBtn.addEventListener("click", () => gameController.resetGame());
 }
 
+// Show solution button functionality
+const solutionBtn = document.getElementById("showKingSolutionButton");
+if (solutionBtn) {
+    solutionBtn.addEventListener("click", () => gameController.showSolution());
+}
+
+// Hint button functionality: off -> danger squares -> safe path -> off
+const hintBtn = document.getElementById("kingHintButton");
+const hintLabels = {
+    [HINT_LEVEL.off]: "Hints: Off",
+    [HINT_LEVEL.danger]: "Hints: Danger squares",
+    [HINT_LEVEL.path]: "Hints: Safe path"
+};
+if (hintBtn) {
+    hintBtn.addEventListener("click", () => {
+        const levels = Object.values(HINT_LEVEL);
+        const next = levels[(levels.indexOf(gameController.getHintLevel()) + 1) % levels.length];
+        gameController.setHintLevel(next);
+        hintBtn.textContent = hintLabels[next];
+    });
+}
+
 // Difficulty buttons functionality
-const diffBtns = document.querySelectorAll('.difficulty-btn');
+const diffBtns = document.querySelectorAll('.difficulty-btn[data-level]');
 diffBtns.forEach(btn => {
     btn.addEventListener('click', (e) => {
         const level = btn.getAttribute('data-level');
@@ -46,4 +72,15 @@ diffBtns.forEach(btn => {
         diffBtns.forEach(b => b.classList.remove('selected'));
         btn.classList.add('selected');
     });
-});
\ No newline at end of file
+});
+
+// Mode buttons functionality: static obstacles or hunting pieces
+const modeBtns = document.querySelectorAll('.difficulty-btn[data-mode]');
+modeBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+        gameController.setHuntersMode(btn.getAttribute('data-mode') === 'hunters');
+        gameController.resetGame();
+        modeBtns.forEach(b => b.classList.remove('selected'));
+        btn.classList.add('selected');
+    });
+});
@@ -0,0 +1,57 @@
+import { Chess } from "https://cdn.jsdelivr.net/npm/chess.mjs@1/src/chess.mjs/Chess.js";
+import { Markers } from "../cm-chessboard-master/src/extensions/markers/Markers.js";
+import { HtmlLayer } from "../cm-chessboard-master/src/extensions/html-layer/HtmlLayer.js";
+import { BoardManager } from "./BoardManager.js";
+import { ThemeManager } from "./ThemeManager.js";
+import { KnightsTourGameController } from "./KnightsTourGameController.js";
+import { KnightsTourMovesTableController } from "./KnightsTourMovesTableController.js";
+
+// Initialize theme manager for consistent theming
+const themeManager = new ThemeManager();
+
+// Initialize main components
+const chess = new Chess();
+const movesTableController = new KnightsTourMovesTableController("knightsTourMovesTableBody");
+
+// Create the board manager for the Knight's Tour
+const boardManager = new BoardManager("knights-tour-board", {
+    position: "8/8/8/8/8/8/8/8 w - - 0 1", // Empty board initially
+    style: {
+        pieces: { file: "pieces/staunty.svg" },
+        animationDuration: 300,
+        showCoordinates: true,
+        borderType: "thin"
+    },
+    responsive: true,
+    extensions: [
+        { class: Markers },  // Marks the visited squares and the hint
+        { class: HtmlLayer } // Numbers the visited squares
+    ]
+});
+
+// Create the game controller
+const gameController = new KnightsTourGameController(chess, boardManager.getBoard(), movesTableController);
+
+// Start the game
+gameController.startGame();
+
+// New tour button functionality
+const resetBtn = document.getElementById("resetKnightsTourButton");
+if (resetBtn) {
+    resetBtn.addEventListener("click", () => gameController.resetGame());
+}
+
+// Undo button functionality
+const undoBtn = document.getElementById("undoKnightsTourButton");
+if (undoBtn) {
+    undoBtn.addEventListener("click", () => gameController.undo());
+}
+
+// Hint button functionality
+const hintBtn = document.getElementById("knightsTourHintButton");
+if (hintBtn) {
+    hintBtn.addEventListener("click", () => {
+        gameController.setHintsEnabled(!gameController.getHintsEnabled());
+        hintBtn.textContent = `Warnsdorff Hint: ${gameController.getHintsEnabled() ? "On" : "Off"}`;
+    });
+}
@@ -1,15 +1,19 @@
 import { Chess } from "https://cdn.jsdelivr.net/npm/chess.mjs@1/src/chess.mjs/Chess.js";
+import { Arrows } from "../cm-chessboard-master/src/extensions/arrows/Arrows.js";
+import { Markers } from "../cm-chessboard-master/src/extensions/markers/Markers.js";
 import { BoardManager } from "./BoardManager.js";
 import { ThemeManager } from "./ThemeManager.js";
-import { LoneKnightGameController } from "./LoneKnightGameController.js";
-import { LoneKnightMovesTableController } from "./LoneKnightMovesTableController.js";
+import { SoloPieceGameController } from "./SoloPieceGameController.js";
+import { SoloPieceMovesTableController } from "./SoloPieceMovesTableController.js";
+import { SOLO_PUZZLES } from "./SoloPiecePuzzles.js";
+import { LoneKnightFenGenerator } from "./LoneKnightFenGenerator.js";
 
 // Initialize theme manager for consistent theming
 const themeManager = new ThemeManager();
 
 // Initialize main components
 const chess = new Chess();
-const movesTableController = new LoneKnightMovesTableController("loneKnightMovesTableBody");
+const movesTableController = new SoloPieceMovesTableController("loneKnightMovesTableBody");
 
 // Create the board manager for the Lone Knight game
 const boardManager = new BoardManager("lone-knight-board", {
@@ -20,11 +24,14 @@ const boardManager = new BoardManager("lone-knight-board", {
         showCoordinates: true,
         borderType: "thin"
     },
-    responsive: true
+    responsive: true,
+    extensions: [{ class: Arrows }, { class: Markers }]
 });
 
-// Create the game controller
-const gameController = new LoneKnightGameController(chess, boardManager.getBoard(), movesTableController);
+// Create the game controller, the Lone Knight has its own solver for the many pawns
+const gameController = new SoloPieceGameController(chess, boardManager.getBoard(), movesTableController,
+    SOLO_PUZZLES.loneKnight, new LoneKnightFenGenerator());
+gameController.setDifficulty("medium");
 
 // Start the game
 gameController.startGame();
@@ -34,3 +41,20 @@ const resetBtn = document.getElementById("resetLoneKnightButton");
 if (resetBtn) {
     resetBtn.addEventListener("click", () => gameController.resetGame());
 }
+
+// Show solution button functionality
+const solutionBtn = document.getElementById("showLoneKnightSolutionButton");
+if (solutionBtn) {
+    solutionBtn.addEventListener("click", () => gameController.showSolution());
+}
+
+// Difficulty buttons functionality
+const diffBtns = document.querySelectorAll('.difficulty-btn[data-level]');
+diffBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+        gameController.setDifficulty(btn.getAttribute('data-level'));
+        gameController.resetGame();
+        diffBtns.forEach(b => b.classList.remove('selected'));
+        btn.classList.add('selected');
+    });
+});
@@ -0,0 +1,14 @@
+/**
+ * Module Web Worker that checks puzzle entries with MatePuzzleLoader.check(), so the mate
+ * searches do not block the page. It receives the entries and answers with the reason why
+ * each one is rejected, null for a good one.
+ * Usage: see MatePuzzleLoader.load()
+ */
+
+import { MatePuzzleLoader } from "./MatePuzzleLoader.js";
+
+const loader = new MatePuzzleLoader();
+
+self.addEventListener("message", (event) => {
+    self.postMessage(loader.check(event.data));
+});
@@ -0,0 +1,78 @@
+import { Chess } from "https://cdn.jsdelivr.net/npm/chess.mjs@1/src/chess.mjs/Chess.js";
+import { BoardManager } from "./BoardManager.js";
+import { ThemeManager } from "./ThemeManager.js";
+import { MovesTableController } from "./MovesTableController.js";
+import { MatePuzzleGameController } from "./MatePuzzleGameController.js";
+import { MatePuzzleLoader } from "./MatePuzzleLoader.js";
+
+// Initialize theme manager for consistent theming
+const themeManager = new ThemeManager();
+
+// Another puzzle set or lesson theme can be given with ?set=../themes/name.json
+const setUrl = new URLSearchParams(window.location.search).get('set') || '../puzzles/mate-in-n.json';
+
+// Initialize main components
+const chess = new Chess();
+const movesTableController = new MovesTableController();
+
+// Create the board manager, the puzzle is set up once the puzzles are checked
+const boardManager = new BoardManager("mate-puzzle-board", {
+    position: "8/8/8/8/8/8/8/8 w - - 0 1", // Empty board initially
+    style: {
+        pieces: { file: "pieces/staunty.svg" },
+        animationDuration: 300,
+        showCoordinates: true,
+        borderType: "thin"
+    },
+    responsive: true
+});
+
+const statusElement = document.getElementById('matePuzzleStatus');
+
+try {
+    const { puzzles, rejected } = await new MatePuzzleLoader().load(setUrl);
+    showRejected(rejected);
+
+    // Create the game controller and start with the first puzzle
+    const gameController = new MatePuzzleGameController(chess, boardManager.getBoard(), movesTableController, puzzles);
+    gameController.startGame();
+
+    // Retry button functionality
+    const retryBtn = document.getElementById('retryMatePuzzleButton');
+    if (retryBtn) {
+        retryBtn.addEventListener('click', () => gameController.resetGame());
+    }
+
+    // Show solution button functionality
+    const solutionBtn = document.getElementById('showMateSolutionButton');
+    if (solutionBtn) {
+        solutionBtn.addEventListener('click', () => gameController.showSolution());
+    }
+
+    // Next puzzle button functionality
+    const nextBtn = document.getElementById('nextMatePuzzleButton');
+    if (nextBtn) {
+        nextBtn.addEventListener('click', () => gameController.nextPuzzle());
+    }
+} catch (error) {
+    console.error('Failed to load the mate puzzles:', error);
+    if (statusElement) {
+        statusElement.textContent = `The puzzles could not be loaded: ${error.message}`;
+    }
+}
+
+/**
+ * Lists the puzzles that failed the mate search check, so their data can be fixed
+ * @param {Array<{name: string, reason: string}>} rejected
+ */
+function showRejected(rejected) {
+    const rejectedElement = document.getElementById('matePuzzleRejected');
+    if (!rejectedElement || rejected.length === 0) {
+        return;
+    }
+    rejectedElement.innerHTML = `
+        <p>${rejected.length} puzzle${rejected.length === 1 ? ' was' : 's were'} left out:</p>
+        <ul>${rejected.map(({ name, reason }) => `<li>${name}: ${reason}</li>`).join('')}</ul>
+    `;
+    rejectedElement.hidden = false;
+}
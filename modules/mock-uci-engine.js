@@ -0,0 +1,75 @@
+/**
+ * Minimal UCI engine running as a module Web Worker.
+ * It answers the handshake and plays a legal move (captures first, otherwise random),
+ * so UciEngineAdapter can be exercised without downloading a real engine.
+ * Usage: new UciEngineAdapter("../modules/mock-uci-engine.js", { workerType: "module" })
+ */
+
+import { Chess } from "https://cdn.jsdelivr.net/npm/chess.mjs@1/src/chess.mjs/Chess.js";
+
+const chess = new Chess();
+
+self.addEventListener("message", (event) => {
+    String(event.data).split("\n").forEach(line => handleCommand(line.trim()));
+});
+
+function handleCommand(command) {
+    const tokens = command.split(/\s+/);
+    switch (tokens[0]) {
+        case "uci":
+            self.postMessage("id name Chess Assist Mock Engine");
+            self.postMessage("id author Chess Assist");
+            self.postMessage("uciok");
+            break;
+        case "isready":
+            self.postMessage("readyok");
+            break;
+        case "ucinewgame":
+            chess.reset();
+            break;
+        case "position":
+            setPosition(tokens);
+            break;
+        case "go":
+            postBestMove();
+            break;
+        case "quit":
+            self.close();
+            break;
+        default:
+            // setoption, stop, etc. are accepted and ignored
+            break;
+    }
+}
+
+function setPosition(tokens) {
+    const movesIndex = tokens.indexOf("moves");
+    if (tokens[1] === "startpos") {
+        chess.reset();
+    } else if (tokens[1] === "fen") {
+        const fenTokens = tokens.slice(2, movesIndex === -1 ? undefined : movesIndex);
+        chess.load(fenTokens.join(" "));
+    }
+    if (movesIndex !== -1) {
+        for (const uciMove of tokens.slice(movesIndex + 1)) {
+            chess.move({
+                from: uciMove.substring(0, 2),
+                to: uciMove.substring(2, 4),
+                promotion: uciMove.charAt(4) || undefined
+            });
+        }
+    }
+}
+
+function postBestMove() {
+    const moves = chess.moves({ verbose: true });
+    if (moves.length === 0) {
+        self.postMessage("bestmove (none)");
+        return;
+    }
+    const captures = moves.filter(move => move.captured);
+    const candidates = captures.length > 0 ? captures : moves;
+    const move = candidates[Math.floor(Math.random() * candidates.length)];
+    self.postMessage("info depth 1 score cp 0");
+    self.postMessage(`bestmove ${move.from}${move.to}${move.promotion || ""}`);
+}
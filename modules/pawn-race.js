@@ -1,5 +1,6 @@
 import { Chess } from "https://cdn.jsdelivr.net/npm/chess.mjs@1/src/chess.mjs/Chess.js";
 import { BoardManager } from "./BoardManager.js";
+import { PromotionDialog } from "../cm-chessboard-master/src/extensions/promotion-dialog/PromotionDialog.js";
 import { ThemeManager } from "./ThemeManager.js";
 import { MovesTableController } from "./MovesTableController.js";
 import { PawnRaceGameController } from "./PawnRaceGameController.js";
@@ -21,7 +22,8 @@ const boardManager = new BoardManager("pawn-race-board", {
         pieces: { file: "pieces/staunty.svg" },
         animationDuration: 300
     },
-    responsive: true
+    responsive: true,
+    extensions: [{ class: PromotionDialog }]
 });
 
 // Use the correct table body ID from your HTML
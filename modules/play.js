@@ -1,6 +1,8 @@
 import {Chess} from "https://cdn.jsdelivr.net/npm/chess.mjs@1/src/chess.mjs/Chess.js"
 import {GameController} from "./GameController.js"
 import {BoardManager} from "./BoardManager.js"
+import {PromotionDialog} from "../cm-chessboard-master/src/extensions/promotion-dialog/PromotionDialog.js"
+import {HtmlLayer} from "../cm-chessboard-master/src/extensions/html-layer/HtmlLayer.js"
 import {UIController} from "./UIController.js"
 import {MovesTableController} from "./MovesTableController.js"
 import {ThemeManager} from "./ThemeManager.js"
@@ -20,7 +22,11 @@ const boardManager = new BoardManager("board", {
         animationDuration: 300,
         showCoordinates: true,    // Display coordinates a-h, 1-8
         borderType: "thin"        // Thin border with inline coordinates
-    }
+    },
+    extensions: [
+        { class: PromotionDialog },  // Lets the player choose the promotion piece
+        { class: HtmlLayer }         // Shows the game result on the board
+    ]
 });
 
 // Create GameController that internally manages BlackPlayerController
@@ -4,7 +4,7 @@ import { Chessboard, FEN, INPUT_EVENT_TYPE } from '../cm-chessboard-master/src/C
 import { Arrows, ARROW_TYPE } from '../cm-chessboard-master/src/extensions/arrows/Arrows.js';
 import { Markers, MARKER_TYPE } from '../cm-chessboard-master/src/extensions/markers/Markers.js';
 import { Chess } from "https://cdn.jsdelivr.net/npm/chess.mjs@1/src/chess.mjs/Chess.js";
-import { getChessboardAssetsPath } from "./ChessboardHelper.js";
+import { getChessboardAssetsPath, attachSquareClickListener } from "./ChessboardHelper.js";
 
 const boardContainer = document.getElementById('chessboard');
 if (!boardContainer) {
@@ -279,32 +279,9 @@ function attachSvgSquareListeners() {
     const squares = document.querySelectorAll('rect.square[data-square]');
     console.log('[DEBUG] Found', squares.length, 'SVG squares');
     
-    // Use a single event listener on the board container to avoid conflicts
-    const boardSvg = document.querySelector('#chessboard svg');
-    if (!boardSvg) {
-        console.error('[DEBUG] Could not find board SVG element');
-        return;
-    }
-    
-    // Remove any existing custom listeners
-    if (boardSvg._customClickHandler) {
-        boardSvg.removeEventListener('click', boardSvg._customClickHandler);
-    }
-    
-    // Create a single click handler for the entire board
-    const clickHandler = (e) => {
+    // Use a single event listener on the board to avoid conflicts
+    const attached = attachSquareClickListener(board, (square, e) => {
         try {
-            // Find the clicked square element
-            let squareEl = e.target;
-            while (squareEl && !squareEl.getAttribute('data-square')) {
-                squareEl = squareEl.parentElement;
-            }
-            
-            if (!squareEl || !squareEl.getAttribute('data-square')) {
-                return; // Not a square click
-            }
-            
-            const square = squareEl.getAttribute('data-square');
             console.debug('[DEBUG] Click event:', { square, alt: e.altKey, shift: e.shiftKey, selectedPiece });
             
             // Shift+Alt+Left click: start/end arrow
@@ -402,15 +379,11 @@ function attachSvgSquareListeners() {
             // Reset states to prevent getting stuck
             arrowStart = null;
         }
-    };
-    
-    // Store the handler so we can remove it later
-    boardSvg._customClickHandler = clickHandler;
-    
-    // Add the event listener
-    boardSvg.addEventListener('click', clickHandler, true); // Use capture phase
+    });
     
-    console.log('[DEBUG] Finished attaching board-wide click listener');
+    if (attached) {
+        console.log('[DEBUG] Finished attaching board-wide click listener');
+    }
 }
 // Try to attach listeners multiple times with different delays to ensure it works
 setTimeout(() => {
@@ -0,0 +1,66 @@
+import { Chess } from "https://cdn.jsdelivr.net/npm/chess.mjs@1/src/chess.mjs/Chess.js";
+import { Arrows } from "../cm-chessboard-master/src/extensions/arrows/Arrows.js";
+import { Markers } from "../cm-chessboard-master/src/extensions/markers/Markers.js";
+import { BoardManager } from "./BoardManager.js";
+import { ThemeManager } from "./ThemeManager.js";
+import { SoloPieceGameController } from "./SoloPieceGameController.js";
+import { SoloPieceMovesTableController } from "./SoloPieceMovesTableController.js";
+import { SOLO_PUZZLES } from "./SoloPiecePuzzles.js";
+
+// Initialize theme manager for consistent theming
+const themeManager = new ThemeManager();
+
+// Each maze page names its puzzle in <body data-puzzle="...">
+const puzzle = SOLO_PUZZLES[document.body.dataset.puzzle] || SOLO_PUZZLES.rookMaze;
+
+// Initialize main components
+const chess = new Chess();
+const movesTableController = new SoloPieceMovesTableController("soloMovesTableBody");
+
+// Create the board manager for the maze
+const boardManager = new BoardManager("solo-board", {
+    position: "8/8/8/8/8/8/8/8 w - - 0 1", // Empty board initially
+    style: {
+        pieces: { file: "pieces/staunty.svg" },
+        animationDuration: 300,
+        showCoordinates: true,
+        borderType: "thin"
+    },
+    responsive: true,
+    extensions: [{ class: Arrows }, { class: Markers }]
+});
+
+// Show the goal of the puzzle
+const goalElement = document.getElementById("soloPuzzleGoal");
+if (goalElement) {
+    goalElement.textContent = puzzle.goal;
+}
+
+// Create the game controller
+const gameController = new SoloPieceGameController(chess, boardManager.getBoard(), movesTableController, puzzle);
+
+// Start the game
+gameController.startGame();
+
+// Reset button functionality
+const resetBtn = document.getElementById("resetSoloPuzzleButton");
+if (resetBtn) {
+    resetBtn.addEventListener("click", () => gameController.resetGame());
+}
+
+// Show solution button functionality
+const solutionBtn = document.getElementById("showSoloSolutionButton");
+if (solutionBtn) {
+    solutionBtn.addEventListener("click", () => gameController.showSolution());
+}
+
+// Difficulty buttons functionality
+const diffBtns = document.querySelectorAll('.difficulty-btn[data-level]');
+diffBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+        gameController.setDifficulty(btn.getAttribute('data-level'));
+        gameController.resetGame();
+        diffBtns.forEach(b => b.classList.remove('selected'));
+        btn.classList.add('selected');
+    });
+});